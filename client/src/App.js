@@ -1,18 +1,45 @@
 // client/src/App.js
 
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useMemo, useState, useRef } from 'react';
 import io from 'socket.io-client';
-import { Line } from 'react-chartjs-2';
+import { Chart, Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
   Legend,
 } from 'chart.js';
+import { CandlestickController, CandlestickElement, OhlcController, OhlcElement } from 'chartjs-chart-financial';
+import zoomPlugin from 'chartjs-plugin-zoom';
+import IndicatorControls from './components/IndicatorControls';
+import OscillatorChart from './components/OscillatorChart';
+import VolumeChart from './components/VolumeChart';
+import WatchlistPicker from './components/WatchlistPicker';
+import LoginForm from './components/LoginForm';
+import SymbolSearch from './components/SymbolSearch';
+import { bars, csv } from 'stock-chart-shared';
+import AlertsPanel from './components/AlertsPanel';
+import ExportMenu from './components/ExportMenu';
+import PortfolioPanel from './components/PortfolioPanel';
+import CustomSeriesImport from './components/CustomSeriesImport';
+import AnalyticsPanel from './components/AnalyticsPanel';
+import ChartNavigator from './components/ChartNavigator';
+import AnnotationsPanel from './components/AnnotationsPanel';
+import ActivityPanel from './components/ActivityPanel';
+import { crosshairPlugin, fixYAxisWidth, syncCrosshair } from './utils/crosshair';
+import { DEFAULT_INDICATOR_SETTINGS, oscillatorSeries, overlaySeries } from './utils/indicatorSeries';
+import { alignSeries, mergeBars, toPercentChange } from './utils/series';
+import { includeThresholdLines, thresholdLinesPlugin } from './utils/thresholdLines';
+import { barEvents, eventMarkersPlugin } from './utils/eventMarkers';
+import { BASE_CURRENCIES, convertStock, formatMoney } from './utils/currency';
+import { annotationsPlugin, dateIndex, displayFactorAt, fromChartValue, toChartValue } from './utils/annotations';
+import { chartToPngBlob, downloadBlob } from './utils/download';
+import { MIN_ZOOM_BARS, inWindow, windowFromIndexes, windowIndexes } from './utils/zoom';
 // NEW: Import specific Chart.js utilities for tooltips
 
 
@@ -21,13 +48,42 @@ ChartJS.register(
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
+  CandlestickController,
+  CandlestickElement,
+  OhlcController,
+  OhlcElement,
   Title,
   Tooltip, // Ensure Tooltip is registered
-  Legend
+  Legend,
+  crosshairPlugin,
+  thresholdLinesPlugin,
+  eventMarkersPlugin,
+  annotationsPlugin,
+  zoomPlugin
 );
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
-const socket = io(BACKEND_URL);
+const DEFAULT_WATCHLIST = 'default';
+// Same rule as the server's (server/symbols.js): AAPL, BRK.B, RDS-A, TSCO.LON
+const SYMBOL_PATTERN = /^[A-Z0-9]{1,6}([.-][A-Z0-9]{1,4})?$/;
+// The watchlist to open comes from the URL (?watchlist=<slug>), so links can be shared
+const initialWatchlist = new URLSearchParams(window.location.search).get('watchlist') || DEFAULT_WATCHLIST;
+// The socket connects once there is a session token to present (see the session effect in App)
+const socket = io(BACKEND_URL, { query: { watchlist: initialWatchlist }, autoConnect: false });
+
+// { token, user } from /auth/login or /auth/register, kept across page loads
+const SESSION_KEY = 'stockChartSession';
+// The currency every price is converted to, remembered across page loads
+const BASE_CURRENCY_KEY = 'stockChartBaseCurrency';
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
 
 const chartColors = [
     'rgb(255, 99, 132)', // Red
@@ -42,13 +98,123 @@ const chartColors = [
     'rgb(0, 200, 83)'   // Teal
 ];
 
+// Range buttons, and the interval the server backs each one with (see server/ranges.js)
+const chartRanges = [
+  { key: '1D', label: '1 Day', interval: '5min' },
+  { key: '5D', label: '5 Days', interval: '30min' },
+  { key: '1M', label: '1 Month', interval: 'daily' },
+  { key: '6M', label: '6 Months', interval: 'daily' },
+  { key: '1Y', label: '1 Year', interval: 'daily' },
+  { key: '5Y', label: '5 Years', interval: 'weekly' },
+  { key: 'MAX', label: 'Max', interval: 'monthly' }
+];
+// What initialStocks and stockAdded carry
+const DEFAULT_RANGE = '6M';
+// How long an add or remove may wait for the server's answer (fetches can sit in its provider queue)
+const STOCK_ACTION_TIMEOUT_MS = 120000;
+const ANNOTATION_TIMEOUT_MS = 10000;
+// The activity sidebar keeps as many changes as the server sends on joining a list
+const HISTORY_LENGTH = 50;
+
+// Drawing tools for annotations, and what each wants clicked on the price chart
+const annotationTools = [
+  { key: 'trendline', label: 'Trendline', hint: 'Click the start of the line, then its end.' },
+  { key: 'level', label: 'Level', hint: 'Click the price level.' },
+  { key: 'note', label: 'Note', hint: 'Click where the note goes.' }
+];
+
+const intervalLabels = {
+  '5min': { series: '5-Minute', axis: 'Time' },
+  '30min': { series: '30-Minute', axis: 'Time' },
+  daily: { series: 'Daily', axis: 'Date' },
+  weekly: { series: 'Weekly', axis: 'Week Ending' },
+  monthly: { series: 'Monthly', axis: 'Month Ending' }
+};
+
+// Shorten intraday timestamps ('YYYY-MM-DD HH:MM:SS') for the x-axis
+const formatBarDate = (date, rangeKey) => {
+  if (rangeKey === '1D') {
+    return date.slice(11, 16);
+  }
+  if (rangeKey === '5D') {
+    return `${date.slice(5, 10)} ${date.slice(11, 16)}`;
+  }
+  return date;
+};
+
+const chartTypes = [
+  { key: 'line', label: 'Line' },
+  { key: 'candlestick', label: 'Candlestick' },
+  { key: 'ohlc', label: 'OHLC' }
+];
+
+// A bar's open/high/low/close as percent change from `baseClose`
+const toPercentBar = (bar, baseClose) => {
+  const percent = (value) => ((value - baseClose) / baseClose) * 100;
+  return { ...bar, open: percent(bar.open), high: percent(bar.high), low: percent(bar.low), close: percent(bar.close) };
+};
+
+const formatUpdatedAt = (updatedAt) => new Date(updatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
 function App() {
+  const [session, setSession] = useState(loadSession);
   const [stocks, setStocks] = useState([]);
   const [newStockSymbol, setNewStockSymbol] = useState('');
   const [message, setMessage] = useState('');
+  // Loading a watchlist or a range; adds and removes are tracked per symbol in `pending`
   const [loading, setLoading] = useState(false);
+  // Adds and removes awaiting the server, by symbol: { id, action, status: 'pending' | 'error', message }
+  const [pending, setPending] = useState({});
+  const [watchlists, setWatchlists] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  // The server's holdings, P&L and value series for the current range
+  const [portfolio, setPortfolio] = useState(null);
+  const [showPortfolio, setShowPortfolio] = useState(false);
+  // The zoomed part of the range as { start, end } dates, or null for all of it (see utils/zoom.js)
+  const [zoomWindow, setZoomWindow] = useState(null);
+  const [currentWatchlist, setCurrentWatchlist] = useState(null);
+  const [range, setRange] = useState(DEFAULT_RANGE);
+  // Percent mode rebases every symbol to 0% at its first visible bar
+  const [percentMode, setPercentMode] = useState(false);
+  // Adjusted mode scales earlier prices for splits and dividends, so they don't show up as crashes
+  const [adjusted, setAdjusted] = useState(true);
+  // Prices are converted to this currency at each bar's date
+  const [baseCurrency, setBaseCurrency] = useState(() => localStorage.getItem(BASE_CURRENCY_KEY) || 'USD');
+  // Daily rates in US dollars per unit, by currency, as the server sends them (see utils/currency.js)
+  const [fxRates, setFxRates] = useState({});
+  // Candlestick and OHLC views draw one symbol; the volume panel always follows that symbol
+  const [chartType, setChartType] = useState('line');
+  const [selectedSymbol, setSelectedSymbol] = useState(null);
+  // Indicators are drawn for the selected symbol too
+  const [indicatorSettings, setIndicatorSettings] = useState(DEFAULT_INDICATOR_SETTINGS);
+  // Everyone's annotations on the current list (see server/annotations.js)
+  const [annotations, setAnnotations] = useState([]);
+  // The annotation tool being drawn with, and a trendline's first point ({ date, price }) once clicked
+  const [drawTool, setDrawTool] = useState(null);
+  const [draftPoint, setDraftPoint] = useState(null);
+  // The current list's latest adds and removes, newest first, and who is viewing it (see server/activity.js)
+  const [history, setHistory] = useState([]);
+  const [presence, setPresence] = useState([]);
+  const [showActivity, setShowActivity] = useState(false);
+  // History entries whose undo awaits the server
+  const [undoing, setUndoing] = useState([]);
 
   const colorIndexRef = useRef(0);
+  // The socket handlers are registered once, so they read the current range through a ref
+  const rangeRef = useRef(DEFAULT_RANGE);
+  const symbolsRef = useRef([]);
+  const baseCurrencyRef = useRef(baseCurrency);
+  // The { slug, version } our `stocks` reflect; stockAdded/stockRemoved carry the version they make
+  const versionRef = useRef(null);
+  // Whose changes stockAdded/stockRemoved need no byline
+  const usernameRef = useRef(null);
+  const actionIdRef = useRef(0);
+  const priceChartRef = useRef(null);
+  const volumeChartRef = useRef(null);
+  const rsiChartRef = useRef(null);
+  const macdChartRef = useRef(null);
+  // Currencies whose rates have been asked for, so a rerender doesn't ask twice
+  const fxRequestedRef = useRef(new Set());
 
   const getNextColor = () => {
     const color = chartColors[colorIndexRef.current % chartColors.length];
@@ -56,57 +222,345 @@ function App() {
     return color;
   };
 
+  // Ask the server for these symbols' bars in the given range; answers arrive as stockRangeData
+  const requestRange = (symbols, rangeKey) => {
+    symbols.forEach(symbol => socket.emit('requestStockRange', { symbol, range: rangeKey }));
+  };
+
+  // Forget a symbol's pending add or remove (`id` only if it is still that request)
+  const clearPending = (symbol, id) => {
+    setPending(prevPending => {
+      if (!prevPending[symbol] || (id !== undefined && prevPending[symbol].id !== id)) {
+        return prevPending;
+      }
+      const { [symbol]: cleared, ...rest } = prevPending;
+      return rest;
+    });
+  };
+
+  // The server's answer to one of our adds or removes. An add of a symbol that is
+  // already listed, or a remove of one that is gone, ends where the user wanted
+  // (e.g. a retry of a request whose answer was lost), so both count as done.
+  const handleActionResult = (action, symbol, id, result) => {
+    const done = result.success
+      || (action === 'addStock' && result.error === 'ALREADY_EXISTS')
+      || (action === 'removeStock' && result.error === 'NOT_FOUND');
+    if (done || result.error === 'FORBIDDEN') {
+      clearPending(symbol, id);
+    } else {
+      setPending(prevPending => (
+        prevPending[symbol] && prevPending[symbol].id === id
+          ? { ...prevPending, [symbol]: { ...prevPending[symbol], status: 'error', message: result.message } }
+          : prevPending
+      ));
+    }
+    if (result.error === 'FORBIDDEN') {
+      setMessage(`Error: ${result.message}`);
+    } else if (action === 'addStock' && result.error === 'ALREADY_EXISTS') {
+      setMessage(`${symbol} is already on the chart.`);
+      if (!symbolsRef.current.includes(symbol) && versionRef.current) {
+        socket.emit('syncWatchlist', versionRef.current); // We missed its stockAdded
+      }
+    } else if (action === 'removeStock' && done) {
+      setStocks(prevStocks => prevStocks.filter(stock => stock.symbol !== symbol));
+    }
+  };
+
+  // Send an add or remove and track it on its symbol until the server answers
+  const runStockAction = (action, symbol) => {
+    actionIdRef.current += 1;
+    const id = actionIdRef.current;
+    setPending(prevPending => ({ ...prevPending, [symbol]: { id, action, status: 'pending' } }));
+    socket.timeout(STOCK_ACTION_TIMEOUT_MS).emit(action, symbol, (timeoutError, result) => {
+      handleActionResult(action, symbol, id, timeoutError
+        ? { error: 'TIMEOUT', message: 'The server did not answer in time.' }
+        : result);
+    });
+  };
+
+  const handleLogin = (newSession) => {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(newSession));
+    setSession(newSession);
+  };
+
+  const handleLogout = () => {
+    localStorage.removeItem(SESSION_KEY);
+    setSession(null);
+    setStocks([]);
+    setWatchlists([]);
+    setAlerts([]);
+    setPortfolio(null);
+    setCurrentWatchlist(null);
+    setZoomWindow(null);
+    setPending({});
+    setAnnotations([]);
+    setDrawTool(null);
+    setHistory([]);
+    setPresence([]);
+    setShowActivity(false);
+    setUndoing([]);
+    versionRef.current = null;
+    setMessage('');
+  };
+
+  // Connect with the session's token, and drop the connection when the session ends
+  useEffect(() => {
+    if (!session) {
+      return undefined;
+    }
+    // Read on every (re)connect: the list version we hold lets a reconnect fetch only what changed
+    socket.auth = (callback) => callback({ token: session.token, sync: versionRef.current });
+    usernameRef.current = session.user.username;
+    socket.connect();
+    return () => {
+      socket.disconnect();
+    };
+  }, [session]);
+
+  useEffect(() => {
+    symbolsRef.current = stocks.map(stock => stock.symbol);
+  }, [stocks]);
+
+  // The currencies conversion needs rates for: the stocks' and the base (USD is always 1)
+  const neededCurrencies = [...new Set([baseCurrency, ...stocks.map(stock => stock.currency || 'USD')])]
+    .filter(currency => currency !== 'USD')
+    .sort()
+    .join(',');
+
+  // Fetch the rates we don't have yet; a failed fetch is retried when the needed currencies change
+  useEffect(() => {
+    const missing = neededCurrencies.split(',').filter(currency => currency && !fxRequestedRef.current.has(currency));
+    if (!session || missing.length === 0) {
+      return;
+    }
+    missing.forEach(currency => fxRequestedRef.current.add(currency));
+    const loadRates = async () => {
+      try {
+        const response = await fetch(`${BACKEND_URL}/api/v1/fx/rates?currencies=${missing.join(',')}`, {
+          headers: { Authorization: `Bearer ${session.token}` }
+        });
+        const body = await response.json();
+        if (!response.ok) {
+          throw new Error(body.message);
+        }
+        setFxRates(prevRates => ({ ...prevRates, ...body.data }));
+      } catch (error) {
+        console.error(`Could not load exchange rates for ${missing.join(', ')}:`, error);
+        missing.forEach(currency => fxRequestedRef.current.delete(currency));
+        setMessage(`Error: Could not load exchange rates for ${missing.join(', ')}.`);
+      }
+    };
+    loadRates();
+  }, [neededCurrencies, session]);
+
   useEffect(() => {
     socket.on('connect', () => {
       console.log('Connected to server via Socket.IO');
+      socket.emit('requestPortfolio', { range: rangeRef.current, currency: baseCurrencyRef.current });
       setMessage('Connected to real-time updates.');
       setTimeout(() => setMessage(''), 3000);
     });
 
-    socket.on('disconnect', () => {
+    socket.on('disconnect', (reason) => {
       console.log('Disconnected from server');
-      setMessage('Disconnected from real-time updates. Trying to reconnect...');
+      if (reason !== 'io client disconnect') { // Not when we signed out
+        setMessage('Disconnected from real-time updates. Trying to reconnect...');
+      }
+      // Their answers may be lost; the resync on reconnect settles any that went through
+      setPending(prevPending => Object.fromEntries(Object.entries(prevPending).map(([symbol, entry]) => [
+        symbol,
+        entry.status === 'pending' ? { ...entry, status: 'error', message: 'Connection lost.' } : entry
+      ])));
+    });
+
+    // The server turns away handshakes without a valid token: sign in again
+    socket.on('connect_error', (error) => {
+      if (error.message === 'unauthorized') {
+        localStorage.removeItem(SESSION_KEY);
+        setSession(null);
+        setMessage('Error: Your session has expired. Please sign in again.');
+      }
+    });
+
+    socket.on('unauthorized', ({ message: errorMessage }) => {
+      setMessage(`Error: ${errorMessage}`);
+      setLoading(false);
+    });
+
+    socket.on('alerts', (userAlerts) => {
+      setAlerts(userAlerts);
+    });
+
+    socket.on('alertTriggered', ({ alert, message: alertMessage, bar }) => {
+      setAlerts(prevAlerts => prevAlerts.map(existing => (existing.id === alert.id ? alert : existing)));
+      setMessage(`Alert: ${alertMessage} (close ${bar.close.toFixed(2)} on ${bar.date})`);
+    });
+
+    socket.on('portfolio', (portfolioData) => {
+      // Not if the range or base currency changed since we asked
+      if (portfolioData.range === rangeRef.current && portfolioData.currency === baseCurrencyRef.current) {
+        setPortfolio(portfolioData);
+      }
+    });
+
+    socket.on('portfolioChanged', () => {
+      socket.emit('requestPortfolio', { range: rangeRef.current, currency: baseCurrencyRef.current });
+    });
+
+    socket.on('watchlists', (watchlistSummaries) => {
+      setWatchlists(watchlistSummaries);
+    });
+
+    socket.on('watchlistJoined', (watchlist) => {
+      if (versionRef.current && versionRef.current.slug !== watchlist.slug) {
+        versionRef.current = null; // Until this list's stocks arrive
+      }
+      setCurrentWatchlist(watchlist);
+      // Keep the URL shareable, and make reconnects rejoin this list
+      const url = new URL(window.location.href);
+      url.searchParams.set('watchlist', watchlist.slug);
+      window.history.replaceState(null, '', url);
+      socket.io.opts.query = { ...socket.io.opts.query, watchlist: watchlist.slug };
     });
 
-    socket.on('initialStocks', (initialStockData) => {
+    // The joined list's annotations, then each one saved or deleted by anyone viewing it
+    socket.on('annotations', ({ annotations: listAnnotations }) => {
+      setAnnotations(listAnnotations);
+    });
+
+    socket.on('annotationSaved', (annotation) => {
+      setAnnotations(prevAnnotations => (
+        prevAnnotations.some(existing => existing.id === annotation.id)
+          ? prevAnnotations.map(existing => (existing.id === annotation.id ? annotation : existing))
+          : [...prevAnnotations, annotation]
+      ));
+    });
+
+    socket.on('annotationDeleted', ({ id }) => {
+      setAnnotations(prevAnnotations => prevAnnotations.filter(annotation => annotation.id !== id));
+    });
+
+    // The joined list's latest changes, then each new one (or one just undone) as it happens
+    socket.on('history', ({ entries }) => {
+      setHistory(entries);
+    });
+
+    socket.on('historyEntry', (entry) => {
+      setHistory(prevHistory => (
+        prevHistory.some(existing => existing.id === entry.id)
+          ? prevHistory.map(existing => (existing.id === entry.id ? entry : existing))
+          : [entry, ...prevHistory].slice(0, HISTORY_LENGTH)
+      ));
+    });
+
+    // Everyone viewing the joined list, sent whenever someone arrives or leaves
+    socket.on('presence', ({ users }) => {
+      setPresence(users);
+    });
+
+    socket.on('watchlistDeleted', () => {
+      setMessage('This watchlist was deleted. Showing the default watchlist.');
+      setTimeout(() => setMessage(''), 3000);
+      socket.emit('joinWatchlist', DEFAULT_WATCHLIST);
+    });
+
+    socket.on('watchlistAccessRevoked', () => {
+      setMessage('Your access to this watchlist was removed. Showing the default watchlist.');
+      setTimeout(() => setMessage(''), 3000);
+      socket.emit('joinWatchlist', DEFAULT_WATCHLIST);
+    });
+
+    // Add a stock the server sent unless we have it, then load it in the current range
+    const addStockData = (stockData) => {
+      setStocks(prevStocks => (
+        prevStocks.some(stock => stock.symbol === stockData.symbol)
+          ? prevStocks
+          : [...prevStocks, { ...stockData, color: getNextColor() }]
+      ));
+      if (stockData.range !== rangeRef.current) {
+        requestRange([stockData.symbol], rangeRef.current);
+      }
+    };
+
+    // Whether to apply a stockAdded/stockRemoved with this { slug, version }. One that skips
+    // a version means we missed a change (e.g. while reconnecting): it is still applied,
+    // since adds and removes can be repeated safely, and the server sends what we missed.
+    const acceptChange = ({ slug, version }) => {
+      const known = versionRef.current;
+      if (!known || known.slug !== slug || version <= known.version) {
+        return false; // Another list's, or already part of what we have
+      }
+      if (version === known.version + 1) {
+        versionRef.current = { slug, version };
+      } else {
+        socket.emit('syncWatchlist', known);
+      }
+      return true;
+    };
+
+    socket.on('initialStocks', (initialStockData, { slug, version }) => {
       console.log('Received initial stocks:', initialStockData);
+      versionRef.current = { slug, version };
       setStocks(initialStockData.map(stock => ({
         ...stock,
         color: getNextColor()
       })));
+      if (rangeRef.current !== DEFAULT_RANGE) {
+        requestRange(initialStockData.map(stock => stock.symbol), rangeRef.current);
+      }
       setLoading(false);
     });
 
-    socket.on('stockAdded', (stockData) => {
-      console.log('Stock added:', stockData);
-      setStocks(prevStocks => {
-        if (!prevStocks.some(s => s.symbol === stockData.symbol)) {
-          return [...prevStocks, { ...stockData, color: getNextColor() }];
-        }
-        return prevStocks;
-      });
-      setMessage(`${stockData.symbol} added successfully!`);
+    socket.on('stockAdded', (stockData, change) => {
+      console.log('Stock added:', stockData.symbol, change);
+      if (!acceptChange(change)) {
+        return;
+      }
+      addStockData(stockData);
+      clearPending(stockData.symbol);
+      setMessage(change.by && change.by !== usernameRef.current
+        ? `${stockData.symbol} added by ${change.by}.`
+        : `${stockData.symbol} added successfully!`);
       setTimeout(() => setMessage(''), 3000);
-      setLoading(false);
     });
 
-    socket.on('stockRemoved', (symbol) => {
-      console.log('Stock removed:', symbol);
+    socket.on('stockRemoved', (symbol, change) => {
+      console.log('Stock removed:', symbol, change);
+      if (!acceptChange(change)) {
+        return;
+      }
       setStocks(prevStocks => prevStocks.filter(s => s.symbol !== symbol));
-      setMessage(`${symbol} removed successfully.`);
+      clearPending(symbol);
+      setMessage(change.by && change.by !== usernameRef.current
+        ? `${symbol} removed by ${change.by}.`
+        : `${symbol} removed successfully.`);
       setTimeout(() => setMessage(''), 3000);
+    });
+
+    // What changed on our list since the version we had (after a reconnect or a missed change)
+    socket.on('watchlistDelta', ({ slug, version, symbols, added, removed }) => {
+      const known = versionRef.current;
+      if (!known || known.slug !== slug) {
+        return;
+      }
+      versionRef.current = { slug, version: Math.max(version, known.version) };
+      setStocks(prevStocks => prevStocks.filter(stock => symbols.includes(stock.symbol)));
+      added.forEach(addStockData);
+      [...added.map(stock => stock.symbol), ...removed].forEach(symbol => clearPending(symbol));
+      if (added.length > 0 || removed.length > 0) {
+        setMessage(`Caught up with changes to this watchlist: ${added.length} added, ${removed.length} removed.`);
+        setTimeout(() => setMessage(''), 3000);
+      }
       setLoading(false);
     });
 
-    socket.on('stockAlreadyExists', (stockData) => {
-      console.log('Stock already exists feedback:', stockData.symbol);
-      setMessage(`${stockData.symbol} is already on the chart.`);
-      setStocks(prevStocks => {
-        if (!prevStocks.some(s => s.symbol === stockData.symbol)) {
-            return [...prevStocks, { ...stockData, color: getNextColor() }];
-        }
-        return prevStocks;
-      });
+    socket.on('stockRangeData', (stockData) => {
+      if (stockData.range !== rangeRef.current) {
+        return; // The user has picked another range since asking
+      }
+      setStocks(prevStocks => prevStocks.map(stock => (
+        stock.symbol === stockData.symbol ? { ...stock, ...stockData } : stock
+      )));
       setLoading(false);
     });
 
@@ -117,43 +571,323 @@ function App() {
     });
 
     socket.on('rateLimitExceeded', ({ symbol, message: errorMessage }) => {
-        setMessage(`Rate Limit Exceeded for ${symbol}. Please wait a minute before trying again.`);
+        setMessage(`Rate Limit Exceeded for ${symbol}. ${errorMessage}`);
         setLoading(false);
     });
 
+    // Live bars from the server's price poller: only new or changed bars are sent
+    // These are daily bars, so they only belong on daily series
+    socket.on('priceUpdate', ({ symbol, bars, updatedAt }) => {
+      setStocks(prevStocks => prevStocks.map(stock => (
+        stock.symbol === symbol && stock.interval === 'daily'
+          ? { ...stock, data: mergeBars(stock.data, bars), updatedAt }
+          : stock
+      )));
+    });
+
+    // Someone imported or deleted a custom series: reload it if we chart it
+    socket.on('customSeriesUpdated', ({ symbol }) => {
+      if (symbolsRef.current.includes(symbol)) {
+        requestRange([symbol], rangeRef.current);
+      }
+    });
+
+    // The server is holding our request in its provider queue
+    socket.on('stockQueued', ({ symbol, position, estimatedWaitMs }) => {
+        const seconds = Math.ceil(estimatedWaitMs / 1000);
+        setMessage(seconds > 0
+          ? `${symbol} is queued (position ${position}, about ${seconds}s)...`
+          : `Fetching ${symbol}...`);
+    });
+
     return () => {
       socket.off('connect');
       socket.off('disconnect');
+      socket.off('connect_error');
+      socket.off('unauthorized');
+      socket.off('alerts');
+      socket.off('alertTriggered');
+      socket.off('portfolio');
+      socket.off('portfolioChanged');
+      socket.off('watchlists');
+      socket.off('watchlistJoined');
+      socket.off('watchlistDeleted');
+      socket.off('watchlistAccessRevoked');
       socket.off('initialStocks');
       socket.off('stockAdded');
       socket.off('stockRemoved');
-      socket.off('stockAlreadyExists');
+      socket.off('watchlistDelta');
+      socket.off('annotations');
+      socket.off('annotationSaved');
+      socket.off('annotationDeleted');
+      socket.off('history');
+      socket.off('historyEntry');
+      socket.off('presence');
       socket.off('stockError');
       socket.off('rateLimitExceeded');
+      socket.off('stockQueued');
+      socket.off('customSeriesUpdated');
+      socket.off('priceUpdate');
+      socket.off('stockRangeData');
     };
   }, []);
 
-  const chartData = {
-    labels: stocks.length > 0 ? stocks[0].data.map(d => d.date) : [],
-    datasets: stocks.map((stock, index) => ({
+  const selectedRange = chartRanges.find(r => r.key === range);
+
+  // What the charts, indicators and analytics work from: the stocks, adjusted or raw,
+  // in the base currency
+  const chartStocks = useMemo(() => stocks.map(stock => convertStock(
+    adjusted ? { ...stock, data: stock.data.map(bars.adjustBar) } : stock,
+    baseCurrency,
+    fxRates
+  )), [stocks, adjusted, baseCurrency, fxRates]);
+  // Stocks still in their own currency, as their exchange rates haven't loaded
+  const unconvertedSymbols = chartStocks.filter(stock => stock.unconverted).map(stock => stock.symbol);
+
+  // Every symbol is plotted against the union of all symbols' dates, so bars line up by date, not by position
+  const aligned = alignSeries(chartStocks);
+
+  const labels = aligned.dates.map(date => formatBarDate(date, range));
+  // The zoomed window's label indexes, shared by every chart (null shows the whole range)
+  const xRange = windowIndexes(aligned.dates, zoomWindow);
+  const windowStart = xRange ? xRange.min : 0;
+
+  // Fall back to the first symbol when nothing (or a since-removed symbol) is selected
+  const selectedIndex = Math.max(0, stocks.findIndex(stock => stock.symbol === selectedSymbol));
+  const selectedStock = chartStocks[selectedIndex];
+  const selectedBars = selectedStock ? aligned.series[selectedIndex] : [];
+
+  const financialDataset = () => {
+    const percent = percentMode ? toPercentChange(selectedBars, windowStart) : null;
+    return {
+      label: selectedStock.symbol,
+      // The financial controllers don't parse: x is the label index, o/h/l/c the prices
+      data: selectedBars
+        .map((bar, index) => {
+          if (!bar) {
+            return null;
+          }
+          const shown = percent ? toPercentBar(bar, percent.base.close) : bar;
+          return { x: index, o: shown.open, h: shown.high, l: shown.low, c: shown.close };
+        })
+        .filter(Boolean),
+      fullData: selectedBars,
+      baseBar: percent && percent.base,
+      currency: selectedStock.currency,
+    };
+  };
+
+  const lineDatasets = () => stocks.map((stock, index) => {
+    const percent = percentMode ? toPercentChange(aligned.series[index], windowStart) : null;
+    return {
       label: stock.symbol,
-      data: stock.data.map(d => d.close),
+      data: percent ? percent.values : aligned.series[index].map(bar => (bar ? bar.close : null)),
       borderColor: stock.color || getNextColor(),
       backgroundColor: stock.color ? `${stock.color}50` : `${getNextColor()}50`,
       tension: 0.1,
       pointRadius: 0,
       borderWidth: 2,
-      // Store full data for tooltip access
-      fullData: stock.data,
-    })),
+      spanGaps: true, // Draw through dates this symbol didn't trade on
+      // Store full data for tooltip access, indexed like the labels (null where the symbol has no bar)
+      fullData: aligned.series[index],
+      // The bar percent mode measures change from
+      baseBar: percent && percent.base,
+      // The base currency, or the stock's own while its exchange rates are missing
+      currency: chartStocks[index].currency,
+    };
+  });
+
+  const selectedBase = percentMode ? toPercentChange(selectedBars, windowStart).base : null;
+
+  const overlayDatasets = () => overlaySeries(selectedStock.data, aligned.dates, indicatorSettings).map(overlay => ({
+    type: 'line',
+    label: `${selectedStock.symbol} ${overlay.label}`,
+    // Indicators are in price units, so percent mode rebases them the same way as the close
+    data: selectedBase
+      ? overlay.values.map(value => (value === null ? null : ((value - selectedBase.close) / selectedBase.close) * 100))
+      : overlay.values,
+    borderColor: overlay.color,
+    borderDash: overlay.dash || [],
+    borderWidth: 1.5,
+    pointRadius: 0,
+    spanGaps: true,
+  }));
+
+  // The portfolio's value on the chart's dates, on its own right-hand axis (in percent mode,
+  // rebased like the stocks so they can be compared)
+  const portfolioOnChart = showPortfolio && chartType === 'line' && portfolio && portfolio.series.length > 0;
+  const portfolioDataset = () => {
+    const valueByDate = new Map(portfolio.series.map(point => [point.date, point.value]));
+    const values = aligned.dates.map(date => (valueByDate.has(date) ? valueByDate.get(date) : null));
+    const base = values.slice(windowStart).find(value => value !== null && value !== 0);
+    return {
+      label: 'Portfolio',
+      data: percentMode
+        ? values.map(value => (value === null || !base ? null : ((value - base) / base) * 100))
+        : values,
+      yAxisID: percentMode ? 'y' : 'portfolio',
+      borderColor: '#222',
+      borderWidth: 2.5,
+      pointRadius: 0,
+      tension: 0.1,
+      spanGaps: true,
+    };
   };
 
+  const oscillators = selectedStock
+    ? oscillatorSeries(selectedStock.data, aligned.dates, indicatorSettings)
+    : { rsi: null, macd: null };
+
+  const chartData = {
+    labels,
+    datasets: stocks.length === 0 ? [] : [
+      ...(chartType === 'line' ? lineDatasets() : [financialDataset()]),
+      ...overlayDatasets(),
+      ...(portfolioOnChart ? [portfolioDataset()] : []),
+    ],
+  };
+
+  // Price alert thresholds on the plotted symbols, drawn as dashed lines. Percent mode
+  // has no price axis to draw them on, and 'change' alerts have no price level.
+  // Thresholds are traded prices in the symbol's own currency, so they are scaled like
+  // its latest bar: converted to the base currency at that bar's rate.
+  const plottedSymbols = chartType === 'line' ? stocks.map(stock => stock.symbol) : (selectedStock ? [selectedStock.symbol] : []);
+  const plottedIndexes = chartType === 'line' ? stocks.map((stock, i) => i) : (selectedStock ? [selectedIndex] : []);
+  const thresholdLines = percentMode ? [] : plottedIndexes.flatMap(i => {
+    const stock = stocks[i];
+    const shownBars = chartStocks[i].data;
+    const factor = shownBars.length > 0 ? displayFactorAt(stock.data, shownBars, shownBars[shownBars.length - 1].date) : null;
+    if (!factor) {
+      return []; // No bars to scale them by
+    }
+    return alerts
+      .filter(alert => alert.symbol === stock.symbol && alert.condition !== 'change')
+      .map(alert => ({
+        value: alert.threshold * factor,
+        label: `${alert.symbol} ${alert.condition} ${formatMoney(alert.threshold, stock.currency || 'USD')}`,
+        color: (chartType === 'line' && stock.color) || 'rgba(0,0,0,0.6)'
+      }));
+  });
+
+  // Splits and dividends on the plotted symbols, marked along the bottom of the price chart
+  const eventMarkers = plottedIndexes.flatMap(i => aligned.series[i].flatMap((bar, index) => (
+    bar ? barEvents(bar).map(event => ({
+      index,
+      kind: event.kind,
+      color: (chartType === 'line' && stocks[i].color) || 'rgba(0,0,0,0.6)'
+    })) : []
+  )));
+
+  // Annotations on the plotted symbols (and a trendline's first point while drawing one),
+  // placed through each symbol's shown prices so they follow adjustment, currency and percent mode
+  const annotationItems = plottedIndexes.flatMap(i => {
+    const stock = stocks[i];
+    const shownBars = chartStocks[i].data;
+    const base = percentMode ? toPercentChange(aligned.series[i], windowStart).base : null;
+    const color = (chartType === 'line' && stock.color) || 'rgba(0,0,0,0.7)';
+    const place = (price, date) => {
+      const factor = displayFactorAt(stock.data, shownBars, date);
+      const x = dateIndex(aligned.dates, date);
+      return factor && x !== null ? { x, y: toChartValue(price, factor, base && base.close) } : null;
+    };
+    // A level is a price wherever it was drawn, so it goes through the latest bar
+    const lastDate = shownBars.length > 0 ? shownBars[shownBars.length - 1].date : null;
+    const items = annotations
+      .filter(annotation => annotation.symbol === stock.symbol)
+      .map(annotation => ({
+        kind: annotation.kind,
+        text: annotation.text,
+        color,
+        points: annotation.kind === 'level'
+          ? [place(annotation.points[0].price, lastDate)]
+          : annotation.points.map(point => place(point.price, point.date))
+      }));
+    if (draftPoint && i === selectedIndex) {
+      items.push({ kind: 'note', text: '', color, points: [place(draftPoint.price, draftPoint.date)] });
+    }
+    return items.filter(item => item.points.every(Boolean));
+  });
+
+  // Send an annotation change; everyone on the list (us included) gets the result as annotationSaved/annotationDeleted
+  const runAnnotationAction = (action, payload) => {
+    socket.timeout(ANNOTATION_TIMEOUT_MS).emit(action, payload, (timeoutError, result) => {
+      if (timeoutError) {
+        setMessage('Error: The server did not answer in time.');
+      } else if (result.error) {
+        setMessage(`Error: ${result.message}`);
+      }
+    });
+  };
+
+  // While a tool is picked, clicks on the price chart place its points on the selected symbol
+  const handleChartClick = (event, elements, chart) => {
+    if (!drawTool || !selectedStock || aligned.dates.length === 0) {
+      return;
+    }
+    const index = Math.min(aligned.dates.length - 1, Math.max(0, Math.round(chart.scales.x.getValueForPixel(event.x))));
+    const date = aligned.dates[index];
+    const factor = displayFactorAt(stocks[selectedIndex].data, selectedStock.data, date);
+    const price = factor && fromChartValue(chart.scales.y.getValueForPixel(event.y), factor, selectedBase && selectedBase.close);
+    if (!(price > 0)) {
+      return;
+    }
+    const point = { date, price: Number(price.toPrecision(6)) };
+    if (drawTool === 'trendline' && !draftPoint) {
+      setDraftPoint(point);
+      return;
+    }
+    let text = '';
+    if (drawTool === 'note') {
+      text = window.prompt('Note text') || '';
+      if (!text.trim()) {
+        return;
+      }
+    }
+    runAnnotationAction('createAnnotation', {
+      symbol: selectedStock.symbol,
+      kind: drawTool,
+      points: drawTool === 'trendline' ? [draftPoint, point] : [point],
+      text
+    });
+    setDrawTool(null);
+    setDraftPoint(null);
+  };
+
+  const handlePickTool = (tool) => {
+    setDrawTool(drawTool === tool ? null : tool);
+    setDraftPoint(null);
+  };
+
+  const handleUpdateAnnotation = (id, changes) => {
+    runAnnotationAction('updateAnnotation', { id, ...changes });
+  };
+
+  const handleDeleteAnnotation = (id) => {
+    if (window.confirm('Delete this annotation for everyone?')) {
+      runAnnotationAction('deleteAnnotation', { id });
+    }
+  };
+
+  const handleChartHover = syncCrosshair([priceChartRef, volumeChartRef, rsiChartRef, macdChartRef]);
+
+  // From the zoom plugin (wheel, pinch, drag) and the navigator's brush, as label indexes
+  const handleZoom = (min, max) => {
+    const next = windowFromIndexes(aligned.dates, min, max);
+    setZoomWindow(prev => (
+      prev && next && prev.start === next.start && prev.end === next.end ? prev : next
+    ));
+  };
+  const handleZoomComplete = ({ chart }) => handleZoom(chart.scales.x.min, chart.scales.x.max);
+
   const handleAddStock = (e) => {
     e.preventDefault();
-    if (newStockSymbol.trim()) {
-      setLoading(true);
-      setMessage(`Adding ${newStockSymbol}...`);
-      socket.emit('addStock', newStockSymbol.trim().toUpperCase());
+    const symbol = newStockSymbol.trim().toUpperCase();
+    if (symbol && !SYMBOL_PATTERN.test(symbol)) {
+      setMessage(`Error: "${newStockSymbol.trim()}" is not a valid stock symbol.`);
+    } else if (symbol) {
+      if (!(pending[symbol] && pending[symbol].status === 'pending')) {
+        runStockAction('addStock', symbol);
+      }
       setNewStockSymbol('');
     } else {
       setMessage('Please enter a stock symbol.');
@@ -161,15 +895,170 @@ function App() {
     }
   };
 
-  const handleRemoveStock = (symbolToRemove) => {
+  // A stored import is added to the current list if it isn't on it already;
+  // if it is, the customSeriesUpdated broadcast reloads it
+  const handleSeriesImported = (series) => {
+    if (stocks.some(stock => stock.symbol === series.symbol)) {
+      setMessage(`Reloaded ${series.symbol} (${series.barCount} bars).`);
+    } else if (canEdit) {
+      setMessage(`Imported ${series.barCount} bars.`);
+      runStockAction('addStock', series.symbol);
+    } else {
+      setMessage(`Imported ${series.barCount} bars as ${series.symbol}.`);
+    }
+  };
+
+  // Reverse a change from the activity sidebar. Its effects arrive like any other change,
+  // as stockAdded/stockRemoved and historyEntry.
+  const handleUndo = (id) => {
+    setUndoing(prevUndoing => [...prevUndoing, id]);
+    socket.timeout(STOCK_ACTION_TIMEOUT_MS).emit('undoActivity', id, (timeoutError, result) => {
+      setUndoing(prevUndoing => prevUndoing.filter(undoingId => undoingId !== id));
+      if (timeoutError) {
+        setMessage('Error: The server did not answer in time.');
+      } else if (result.error) {
+        setMessage(`Error: ${result.message}`);
+      }
+    });
+  };
+
+  const handleSelectWatchlist = (slug) => {
+    if (currentWatchlist && slug === currentWatchlist.slug) {
+      return;
+    }
+    setStocks([]);
+    setZoomWindow(null);
+    setPending({});
+    setAnnotations([]);
+    setDrawTool(null);
+    setHistory([]);
+    setPresence([]);
+    versionRef.current = null;
     setLoading(true);
-    setMessage(`Removing ${symbolToRemove}...`);
-    socket.emit('removeStock', symbolToRemove);
+    socket.emit('joinWatchlist', slug);
+  };
+
+  const handleCreateWatchlist = (name) => {
+    // The server moves us into the new list once it exists
+    socket.emit('createWatchlist', name);
+  };
+
+  const handleDeleteWatchlist = (slug) => {
+    if (window.confirm('Delete this watchlist for everyone?')) {
+      socket.emit('deleteWatchlist', slug);
+    }
+  };
+
+  const handleShareWatchlist = (username, role) => {
+    socket.emit('shareWatchlist', { slug: currentWatchlist.slug, username, role });
+    setMessage(role ? `Shared with ${username}.` : `Removed ${username}'s access.`);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const handleCreateAlert = (alert) => {
+    socket.emit('createAlert', alert);
+  };
+
+  const handleSnoozeAlert = (id, minutes) => {
+    socket.emit('snoozeAlert', { id, minutes });
+  };
+
+  const handleDeleteAlert = (id) => {
+    socket.emit('deleteAlert', id);
+  };
+
+  const handleAddTransaction = (transaction) => {
+    socket.emit('addTransaction', transaction);
+  };
+
+  const handleDeleteTransaction = (id) => {
+    if (window.confirm('Delete this transaction?')) {
+      socket.emit('deleteTransaction', id);
+    }
+  };
+
+  // Exports cover exactly what is plotted: the plotted symbols over the loaded range, or the zoomed part of it
+  const visibleRows = () => aligned.dates
+    .map((date, j) => ({ date, bars: plottedIndexes.map(i => aligned.series[i][j]) }))
+    .filter(row => inWindow(zoomWindow, row.date) && row.bars.some(Boolean));
+
+  // What the exported prices are, as shown: adjusted or not, and each symbol's currency
+  // (the base currency, or its own while its exchange rates are missing)
+  const exportBasis = () => ({ adjusted, currencies: plottedIndexes.map(i => chartStocks[i].currency || 'USD') });
+
+  const handleExport = async (format) => {
+    const baseName = `${plottedSymbols.join('-')}-${range}`;
+    try {
+      if (format === 'csv') {
+        downloadBlob(new Blob([csv.toCsv(plottedSymbols, visibleRows(), exportBasis())], { type: 'text/csv' }), `${baseName}.csv`);
+      } else if (format === 'json') {
+        const { currencies } = exportBasis();
+        const json = {
+          range,
+          interval: selectedRange.interval,
+          adjusted,
+          symbols: plottedSymbols,
+          currencies: Object.fromEntries(plottedSymbols.map((symbol, i) => [symbol, currencies[i]])),
+          rows: visibleRows().map(row => ({
+            date: row.date,
+            ...Object.fromEntries(plottedSymbols.map((symbol, i) => [symbol, row.bars[i]]))
+          }))
+        };
+        downloadBlob(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+      } else if (format === 'png') {
+        downloadBlob(await chartToPngBlob(priceChartRef.current), `${baseName}.png`);
+      } else if (format === 'serverCsv') {
+        setMessage('Preparing CSV on the server...');
+        // The server converts with the same rates, so its file matches the chart
+        const query = `symbols=${encodeURIComponent(plottedSymbols.join(','))}&range=${range}&adjusted=${adjusted}&currency=${baseCurrency}`;
+        const response = await fetch(`${BACKEND_URL}/api/v1/export/csv?${query}`, {
+          headers: { Authorization: `Bearer ${session.token}` }
+        });
+        if (!response.ok) {
+          const body = await response.json();
+          setMessage(`Error: ${body.message}`);
+          return;
+        }
+        downloadBlob(await response.blob(), `${baseName}.csv`);
+        setMessage('');
+      }
+    } catch (error) {
+      console.error(`Export as ${format} failed:`, error);
+      setMessage('Error: Export failed.');
+    }
+  };
+
+  const handleBaseCurrencyChange = (currency) => {
+    localStorage.setItem(BASE_CURRENCY_KEY, currency);
+    setBaseCurrency(currency);
+    baseCurrencyRef.current = currency;
+    socket.emit('requestPortfolio', { range: rangeRef.current, currency });
+  };
+
+  const handleRangeChange = (rangeKey) => {
+    if (rangeKey === range) {
+      return;
+    }
+    setRange(rangeKey);
+    setZoomWindow(null);
+    rangeRef.current = rangeKey;
+    socket.emit('requestPortfolio', { range: rangeKey, currency: baseCurrency });
+    if (stocks.length > 0) {
+      setLoading(true);
+      setMessage(`Loading ${chartRanges.find(r => r.key === rangeKey).label} range...`);
+      requestRange(stocks.map(stock => stock.symbol), rangeKey);
+    }
+  };
+
+  const handleRemoveStock = (symbolToRemove) => {
+    runStockAction('removeStock', symbolToRemove);
   };
 
   const options = {
     responsive: true,
     maintainAspectRatio: false,
+    onHover: handleChartHover,
+    onClick: handleChartClick,
     plugins: {
       legend: {
         position: 'top',
@@ -181,15 +1070,44 @@ function App() {
       },
       title: {
         display: true,
-        text: 'Stock Market Trends (Daily Close Price)',
+        text: chartType === 'line'
+          ? `Stock Market Trends (${selectedRange.label}, ${intervalLabels[selectedRange.interval].series} Close Price)`
+          : `${selectedStock ? selectedStock.symbol : ''} ${chartTypes.find(t => t.key === chartType).label} (${selectedRange.label}, ${intervalLabels[selectedRange.interval].series})`,
         font: {
             size: 18 // Make title a bit bigger
         },
         color: '#333'
       },
+      thresholdLines: {
+        lines: thresholdLines
+      },
+      eventMarkers: {
+        markers: eventMarkers
+      },
+      annotations: {
+        items: annotationItems
+      },
+      zoom: {
+        limits: {
+          x: { min: 0, max: Math.max(0, labels.length - 1), minRange: MIN_ZOOM_BARS - 1 }
+        },
+        pan: {
+          enabled: !drawTool, // Drags would fight with drawing
+          mode: 'x',
+          onPanComplete: handleZoomComplete
+        },
+        zoom: {
+          wheel: { enabled: true },
+          pinch: { enabled: true },
+          mode: 'x',
+          onZoomComplete: handleZoomComplete
+        }
+      },
       tooltip: {
         mode: 'index',
         intersect: false,
+        // Skip symbols with no bar on the hovered date
+        filter: (tooltipItem) => tooltipItem.raw !== null,
         // NEW: Custom tooltip callbacks
         callbacks: {
             title: function(context) {
@@ -198,19 +1116,34 @@ function App() {
             },
             label: function(context) {
                 const dataset = context.dataset;
-                const index = context.dataIndex;
+                const index = context.parsed.x; // The label index, also for the financial charts' sparse data
                 const symbol = dataset.label;
+                if (!dataset.fullData) { // Indicator overlays carry no bars
+                    return `${symbol}: ${context.parsed.y.toFixed(2)}`;
+                }
                 const fullDailyData = dataset.fullData[index]; // Access the full data for the specific day
 
                 if (fullDailyData) {
-                    return [
+                    const money = (value) => formatMoney(value, dataset.currency || baseCurrency);
+                    // Converted bars show their price as traded too
+                    const native = fullDailyData.native;
+                    const lines = [
                         `Symbol: ${symbol}`,
-                        `Open: ${fullDailyData.open.toFixed(2)}`,
-                        `High: ${fullDailyData.high.toFixed(2)}`,
-                        `Low: ${fullDailyData.low.toFixed(2)}`,
-                        `Close: ${fullDailyData.close.toFixed(2)}`,
+                        `Open: ${money(fullDailyData.open)}`,
+                        `High: ${money(fullDailyData.high)}`,
+                        `Low: ${money(fullDailyData.low)}`,
+                        `Close: ${money(fullDailyData.close)}${native ? ` (${formatMoney(native.close, native.currency)})` : ''}`,
                         `Volume: ${fullDailyData.volume.toLocaleString()}`
                     ];
+                    if (fullDailyData.rawClose !== undefined) {
+                        lines.push(`Unadjusted Close: ${money(fullDailyData.rawClose)}`);
+                    }
+                    barEvents(fullDailyData, dataset.currency || baseCurrency).forEach(event => lines.push(event.label));
+                    if (dataset.baseBar) {
+                        const change = ((fullDailyData.close - dataset.baseBar.close) / dataset.baseBar.close) * 100;
+                        lines.push(`Change: ${change >= 0 ? '+' : ''}${change.toFixed(2)}% since ${dataset.baseBar.date}`);
+                    }
+                    return lines;
                 }
                 return `Close: ${context.formattedValue}`;
             }
@@ -229,9 +1162,14 @@ function App() {
     },
     scales: {
         x: {
+            type: 'category', // The financial controllers default to a time scale
+            offset: true, // Matches the volume panel's bar layout, so dates line up
+            // The y axes fit whatever falls inside these
+            min: xRange ? xRange.min : undefined,
+            max: xRange ? xRange.max : undefined,
             title: {
                 display: true,
-                text: 'Date',
+                text: intervalLabels[selectedRange.interval].axis,
                 font: {
                     size: 14
                 },
@@ -253,31 +1191,109 @@ function App() {
         y: {
             title: {
                 display: true,
-                text: 'Price (USD)',
+                text: percentMode ? 'Change Since Start (%)' : `Price (${baseCurrency}${unconvertedSymbols.length > 0 ? `; ${unconvertedSymbols.join(', ')} not converted` : ''})`,
                 font: {
                     size: 14
                 },
                 color: '#555'
             },
             beginAtZero: false,
+            afterFit: fixYAxisWidth,
+            afterDataLimits: includeThresholdLines(thresholdLines),
             ticks: {
                 font: {
                     size: 12
                 },
                 callback: function(value, index, values) {
-                    return '$' + value.toFixed(2); // Format y-axis labels as currency
+                    if (percentMode) {
+                        return value.toFixed(1) + '%';
+                    }
+                    return formatMoney(value, baseCurrency); // In the browser's locale
                 }
             },
             grid: {
                 color: 'rgba(0,0,0,0.05)' // Lighter horizontal grid lines
             }
+        },
+        portfolio: {
+            display: portfolioOnChart && !percentMode,
+            position: 'right',
+            afterFit: fixYAxisWidth,
+            title: {
+                display: true,
+                text: `Portfolio Value (${portfolio ? portfolio.currency : baseCurrency})`,
+                font: {
+                    size: 14
+                },
+                color: '#555'
+            },
+            ticks: {
+                font: {
+                    size: 12
+                },
+                callback: (value) => formatMoney(value, portfolio.currency, { compact: true })
+            },
+            grid: {
+                display: false
+            }
         }
     }
   };
+  // The panels below reserve the same space on the right, so their dates stay under the price chart's
+  const reserveRightAxis = portfolioOnChart && !percentMode;
+
+  // The signed-in user's role on the current list; viewers can't add or remove symbols
+  const currentSummary = currentWatchlist && watchlists.find(watchlist => watchlist.slug === currentWatchlist.slug);
+  const currentRole = currentSummary ? currentSummary.role : null;
+  const canEdit = currentRole === 'owner' || currentRole === 'editor';
+  const editDisabled = !canEdit;
+  // Adds still on their way, shown after the listed stocks
+  const pendingAdds = Object.keys(pending)
+    .filter(symbol => pending[symbol].action === 'addStock' && !stocks.some(stock => stock.symbol === symbol));
+
+  if (!session) {
+    return (
+      <div style={{ padding: '20px', maxWidth: '960px', margin: '0 auto', fontFamily: 'Arial, sans-serif', backgroundColor: '#f9f9f9', borderRadius: '8px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)' }}>
+        <h1 style={{ textAlign: 'center', color: '#333' }}>Stock Market Dashboard</h1>
+        {message && <p style={{ color: 'red', textAlign: 'center' }}>{message.replace(/^Error: /, '')}</p>}
+        <LoginForm backendUrl={BACKEND_URL} onLogin={handleLogin} />
+      </div>
+    );
+  }
 
   return (
     <div style={{ padding: '20px', maxWidth: '960px', margin: '0 auto', fontFamily: 'Arial, sans-serif', backgroundColor: '#f9f9f9', borderRadius: '8px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)' }}>
       <h1 style={{ textAlign: 'center', color: '#333' }}>Stock Market Dashboard</h1>
+      <p style={{ textAlign: 'right', color: '#666', marginTop: 0 }}>
+        Signed in as <strong>{session.user.username}</strong>{' '}
+        <button
+          type="button"
+          onClick={() => setShowActivity(!showActivity)}
+          title="Who is viewing this watchlist, and its latest changes"
+          style={{ background: 'none', border: '1px solid #ccc', borderRadius: '4px', padding: '4px 10px', cursor: 'pointer', marginRight: '6px' }}
+        >
+          Activity · {presence.length} viewing
+        </button>
+        <button
+          type="button"
+          onClick={handleLogout}
+          style={{ background: 'none', border: '1px solid #ccc', borderRadius: '4px', padding: '4px 10px', cursor: 'pointer' }}
+        >
+          Sign out
+        </button>
+      </p>
+
+      {showActivity && (
+        <ActivityPanel
+          entries={history}
+          presence={presence}
+          userId={session.user.id}
+          canUndo={canEdit}
+          undoing={undoing}
+          onUndo={handleUndo}
+          onClose={() => setShowActivity(false)}
+        />
+      )}
 
       {message && (
         <p style={{
@@ -293,69 +1309,331 @@ function App() {
         </p>
       )}
 
+      <WatchlistPicker
+        watchlists={watchlists}
+        currentSlug={currentWatchlist && currentWatchlist.slug}
+        role={currentRole}
+        onSelect={handleSelectWatchlist}
+        onCreate={handleCreateWatchlist}
+        onDelete={handleDeleteWatchlist}
+        onShare={handleShareWatchlist}
+      />
+
       <form onSubmit={handleAddStock} style={{ display: 'flex', justifyContent: 'center', marginBottom: '25px' }}>
-        <input
-          type="text"
+        <SymbolSearch
+          backendUrl={BACKEND_URL}
+          token={session.token}
           value={newStockSymbol}
-          onChange={(e) => setNewStockSymbol(e.target.value.toUpperCase())}
-          placeholder="Enter stock symbol (e.g., AAPL)"
-          disabled={loading}
-          style={{ padding: '10px', marginRight: '10px', border: '1px solid #ccc', borderRadius: '4px', flexGrow: 1, maxWidth: '300px', backgroundColor: loading ? '#e9e9e9' : 'white' }}
+          onChange={setNewStockSymbol}
+          placeholder={canEdit ? 'Search by symbol or company (e.g., AAPL)' : 'This watchlist is view only'}
+          disabled={editDisabled}
+          style={{ padding: '10px', border: '1px solid #ccc', borderRadius: '4px', backgroundColor: editDisabled ? '#e9e9e9' : 'white' }}
         />
         <button
           type="submit"
-          disabled={loading}
+          disabled={editDisabled}
           style={{
             padding: '10px 20px',
-            backgroundColor: loading ? '#6c757d' : '#4CAF50',
+            backgroundColor: editDisabled ? '#6c757d' : '#4CAF50',
             color: 'white',
             border: 'none',
             borderRadius: '4px',
-            cursor: loading ? 'not-allowed' : 'pointer',
+            cursor: editDisabled ? 'not-allowed' : 'pointer',
             fontSize: '16px'
           }}
         >
-          {loading ? 'Processing...' : 'Add Stock'}
+          Add Stock
         </button>
       </form>
 
-      {stocks.length === 0 && !loading && <p style={{ textAlign: 'center', color: '#666' }}>No stocks added yet. Add some symbols above!</p>}
+      {stocks.length === 0 && pendingAdds.length === 0 && !loading && <p style={{ textAlign: 'center', color: '#666' }}>No stocks added yet. Add some symbols above!</p>}
       {stocks.length === 0 && loading && <p style={{ textAlign: 'center', color: '#666' }}>Loading initial stocks...</p>}
 
 
-      {stocks.length > 0 && (
+      {(stocks.length > 0 || pendingAdds.length > 0) && (
         <div style={{ marginBottom: '30px' }}>
-          <h2 style={{ color: '#555', borderBottom: '1px solid #eee', paddingBottom: '10px', marginBottom: '15px' }}>Current Stocks</h2>
+          <h2 style={{ color: '#555', borderBottom: '1px solid #eee', paddingBottom: '10px', marginBottom: '15px' }}>
+            Current Stocks{currentWatchlist ? ` in ${currentWatchlist.name}` : ''}
+          </h2>
           <ul style={{ listStyle: 'none', padding: 0, display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
-            {stocks.map(stock => (
-              <li key={stock.symbol} style={{ display: 'flex', alignItems: 'center', background: '#e0e0e0', borderRadius: '5px', padding: '8px 12px' }}>
-                <span style={{ fontWeight: 'bold', marginRight: '10px', color: '#333' }}>{stock.symbol}</span>
-                <button
-                  onClick={() => handleRemoveStock(stock.symbol)}
-                  disabled={loading}
-                  style={{
-                    background: loading ? '#bbbbbb' : '#dc3545',
-                    color: 'white', border: 'none', padding: '6px 12px',
-                    borderRadius: '4px',
-                    cursor: loading ? 'not-allowed' : 'pointer',
-                    fontSize: '14px'
-                  }}
-                >
-                  {loading ? 'Removing...' : 'Remove'}
-                </button>
+            {stocks.map((stock, index) => {
+              const removal = pending[stock.symbol] && pending[stock.symbol].action === 'removeStock' ? pending[stock.symbol] : null;
+              const removing = Boolean(removal) && removal.status === 'pending';
+              return (
+                <li key={stock.symbol} style={{ display: 'flex', alignItems: 'center', background: '#e0e0e0', borderRadius: '5px', padding: '8px 12px' }}>
+                  <span style={{ fontWeight: 'bold', marginRight: '10px', color: '#333' }}>{stock.symbol}</span>
+                  {stock.currency && stock.currency !== baseCurrency && (chartStocks[index].unconverted ? (
+                    <span title={`No ${stock.currency} to ${baseCurrency} exchange rates yet, so these prices are in ${stock.currency}`} style={{ fontSize: '12px', color: '#dc3545', marginRight: '10px' }}>
+                      {stock.currency}, not converted
+                    </span>
+                  ) : (
+                    <span title={`Priced in ${stock.currency}, shown in ${baseCurrency}`} style={{ fontSize: '12px', color: '#666', marginRight: '10px' }}>
+                      {stock.currency}
+                    </span>
+                  ))}
+                  {stock.custom && (
+                    <span title={stock.name || 'Imported series'} style={{ fontSize: '12px', color: '#666', marginRight: '10px' }}>
+                      Imported
+                    </span>
+                  )}
+                  {stock.updatedAt && (
+                    <span title={new Date(stock.updatedAt).toLocaleString()} style={{ fontSize: '12px', color: '#666', marginRight: '10px' }}>
+                      Updated {formatUpdatedAt(stock.updatedAt)}
+                    </span>
+                  )}
+                  {removal && removal.status === 'error' && (
+                    <span title={removal.message} style={{ fontSize: '12px', color: '#dc3545', marginRight: '10px' }}>
+                      Remove failed: {removal.message}
+                    </span>
+                  )}
+                  {canEdit && (
+                    <button
+                      onClick={() => handleRemoveStock(stock.symbol)}
+                      disabled={removing}
+                      style={{
+                        background: removing ? '#bbbbbb' : '#dc3545',
+                        color: 'white', border: 'none', padding: '6px 12px',
+                        borderRadius: '4px',
+                        cursor: removing ? 'not-allowed' : 'pointer',
+                        fontSize: '14px'
+                      }}
+                    >
+                      {removing ? 'Removing...' : removal ? 'Retry remove' : 'Remove'}
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+            {pendingAdds.map(symbol => (
+              <li key={symbol} style={{ display: 'flex', alignItems: 'center', background: '#f0f0f0', border: '1px dashed #bbb', borderRadius: '5px', padding: '8px 12px' }}>
+                <span style={{ fontWeight: 'bold', marginRight: '10px', color: '#777' }}>{symbol}</span>
+                {pending[symbol].status === 'pending' ? (
+                  <span style={{ fontSize: '12px', color: '#666' }}>Adding...</span>
+                ) : (
+                  <>
+                    <span style={{ fontSize: '12px', color: '#dc3545', marginRight: '10px' }}>{pending[symbol].message}</span>
+                    <button
+                      onClick={() => runStockAction('addStock', symbol)}
+                      style={{ background: '#4CAF50', color: 'white', border: 'none', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer', fontSize: '14px', marginRight: '6px' }}
+                    >
+                      Retry
+                    </button>
+                    <button
+                      onClick={() => clearPending(symbol)}
+                      style={{ background: 'none', border: '1px solid #ccc', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer', fontSize: '14px' }}
+                    >
+                      Dismiss
+                    </button>
+                  </>
+                )}
               </li>
             ))}
           </ul>
         </div>
       )}
 
-      <div style={{ border: '1px solid #ccc', padding: '20px', borderRadius: '5px', background: 'white', height: '400px' }}>
+      <PortfolioPanel
+        portfolio={portfolio}
+        symbols={stocks.map(stock => stock.symbol)}
+        onAdd={handleAddTransaction}
+        onDelete={handleDeleteTransaction}
+      />
+
+      <CustomSeriesImport backendUrl={BACKEND_URL} token={session.token} onImported={handleSeriesImported} />
+
+      <AlertsPanel
+        alerts={alerts}
+        symbols={stocks.map(stock => stock.symbol)}
+        onCreate={handleCreateAlert}
+        onSnooze={handleSnoozeAlert}
+        onDelete={handleDeleteAlert}
+      />
+
+      <div style={{ display: 'flex', justifyContent: 'center', gap: '6px', marginBottom: '10px' }}>
+        {chartRanges.map(r => (
+          <button
+            key={r.key}
+            onClick={() => handleRangeChange(r.key)}
+            title={r.label}
+            style={{
+              padding: '6px 12px',
+              border: '1px solid #ccc',
+              borderRadius: '4px',
+              backgroundColor: r.key === range ? '#333' : 'white',
+              color: r.key === range ? 'white' : '#333',
+              cursor: 'pointer',
+              fontSize: '14px'
+            }}
+          >
+            {r.key === 'MAX' ? 'Max' : r.key}
+          </button>
+        ))}
+        <label style={{ display: 'flex', alignItems: 'center', marginLeft: '12px', fontSize: '14px', color: '#333', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={percentMode}
+            onChange={(e) => setPercentMode(e.target.checked)}
+            style={{ marginRight: '6px' }}
+          />
+          Compare %
+        </label>
+        <label
+          title="Scale earlier prices for splits and dividends (daily and longer ranges)"
+          style={{ display: 'flex', alignItems: 'center', marginLeft: '12px', fontSize: '14px', color: '#333', cursor: 'pointer' }}
+        >
+          <input
+            type="checkbox"
+            checked={adjusted}
+            onChange={(e) => setAdjusted(e.target.checked)}
+            style={{ marginRight: '6px' }}
+          />
+          Adjusted
+        </label>
+        <select
+          value={baseCurrency}
+          onChange={(e) => handleBaseCurrencyChange(e.target.value)}
+          title="Currency every price is converted to, at each date's exchange rate"
+          style={{ marginLeft: '12px', padding: '6px', borderRadius: '4px', border: '1px solid #ccc' }}
+        >
+          {[...new Set([...BASE_CURRENCIES, ...stocks.map(stock => stock.currency || 'USD')])].map(currency => (
+            <option key={currency} value={currency}>{currency}</option>
+          ))}
+        </select>
+        <label
+          title="Plot the portfolio's value with the stock lines (line chart only)"
+          style={{ display: 'flex', alignItems: 'center', marginLeft: '12px', fontSize: '14px', color: '#333', cursor: 'pointer' }}
+        >
+          <input
+            type="checkbox"
+            checked={showPortfolio}
+            onChange={(e) => setShowPortfolio(e.target.checked)}
+            style={{ marginRight: '6px' }}
+          />
+          Portfolio
+        </label>
+        <select
+          value={chartType}
+          onChange={(e) => setChartType(e.target.value)}
+          style={{ marginLeft: '12px', padding: '6px', borderRadius: '4px', border: '1px solid #ccc' }}
+        >
+          {chartTypes.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+        </select>
+        {stocks.length > 0 && (
+          <select
+            value={selectedStock ? selectedStock.symbol : ''}
+            onChange={(e) => {
+              setSelectedSymbol(e.target.value);
+              setDraftPoint(null);
+            }}
+            title="Symbol for the candlestick/OHLC view, volume panel and drawing tools"
+            style={{ marginLeft: '6px', padding: '6px', borderRadius: '4px', border: '1px solid #ccc' }}
+          >
+            {stocks.map(stock => <option key={stock.symbol} value={stock.symbol}>{stock.symbol}</option>)}
+          </select>
+        )}
+        <ExportMenu onExport={handleExport} disabled={stocks.length === 0} />
+        <button
+          type="button"
+          onClick={() => setZoomWindow(null)}
+          disabled={!xRange}
+          title="Show the whole range (zoom with the mouse wheel or a pinch, drag to pan)"
+          style={{ marginLeft: '6px', padding: '6px 12px', border: '1px solid #ccc', borderRadius: '4px', backgroundColor: 'white', cursor: xRange ? 'pointer' : 'not-allowed', fontSize: '14px' }}
+        >
+          Reset zoom
+        </button>
+      </div>
+
+      <IndicatorControls settings={indicatorSettings} onChange={setIndicatorSettings} />
+
+      {canEdit && selectedStock && (
+        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', gap: '6px', marginBottom: '10px', fontSize: '14px', color: '#333' }}>
+          Draw on {selectedStock.symbol}:
+          {annotationTools.map(tool => (
+            <button
+              key={tool.key}
+              type="button"
+              onClick={() => handlePickTool(tool.key)}
+              style={{
+                padding: '4px 10px',
+                border: '1px solid #ccc',
+                borderRadius: '4px',
+                backgroundColor: drawTool === tool.key ? '#333' : 'white',
+                color: drawTool === tool.key ? 'white' : '#333',
+                cursor: 'pointer',
+                fontSize: '13px'
+              }}
+            >
+              {tool.label}
+            </button>
+          ))}
+          {drawTool && (
+            <span style={{ color: '#666', fontSize: '13px' }}>
+              {draftPoint ? 'Now click the end of the line.' : annotationTools.find(tool => tool.key === drawTool).hint} Click the tool again to cancel.
+            </span>
+          )}
+        </div>
+      )}
+
+      <div style={{ border: '1px solid #ccc', padding: '20px', borderRadius: '5px', background: 'white', height: '400px', cursor: drawTool ? 'crosshair' : undefined }}>
         {chartData.datasets.length > 0 ? (
-          <Line data={chartData} options={options} />
+          chartType === 'line'
+            // While zoomed, updates (brush drags, live bars) redraw at once rather than animate
+            ? <Line ref={priceChartRef} data={chartData} options={options} updateMode={xRange ? 'none' : undefined} />
+            : <Chart ref={priceChartRef} type={chartType} data={chartData} options={options} updateMode={xRange ? 'none' : undefined} />
         ) : (
           <p style={{ textAlign: 'center', marginTop: '20px', color: '#666' }}>Chart will appear here when stocks are added.</p>
         )}
       </div>
+
+      {selectedStock && (
+        <div style={{ border: '1px solid #ccc', borderTop: 'none', padding: '0 20px 10px', borderRadius: '0 0 5px 5px', background: 'white', height: '120px' }}>
+          <VolumeChart
+            symbol={selectedStock.symbol}
+            labels={labels}
+            bars={selectedBars}
+            chartRef={volumeChartRef}
+            onHover={handleChartHover}
+            reserveRightAxis={reserveRightAxis}
+            xRange={xRange}
+          />
+        </div>
+      )}
+
+      {['rsi', 'macd'].filter(kind => oscillators[kind]).map(kind => (
+        <div key={kind} style={{ border: '1px solid #ccc', borderTop: 'none', padding: '0 20px 10px', background: 'white', height: '130px' }}>
+          <OscillatorChart
+            kind={kind}
+            series={oscillators[kind]}
+            labels={labels}
+            chartRef={kind === 'rsi' ? rsiChartRef : macdChartRef}
+            onHover={handleChartHover}
+            reserveRightAxis={reserveRightAxis}
+            xRange={xRange}
+          />
+        </div>
+      ))}
+
+      {selectedStock && labels.length > MIN_ZOOM_BARS && (
+        <div style={{ marginTop: '10px', border: '1px solid #ccc', borderRadius: '5px', background: 'white', padding: '4px 20px', height: '50px' }}>
+          <ChartNavigator
+            labels={labels}
+            values={selectedBars.map(bar => (bar ? bar.close : null))}
+            xRange={xRange}
+            onChange={handleZoom}
+            reserveRightAxis={reserveRightAxis}
+          />
+        </div>
+      )}
+
+      <AnnotationsPanel
+        annotations={annotations}
+        stocks={stocks}
+        userId={session.user.id}
+        onUpdate={handleUpdateAnnotation}
+        onDelete={handleDeleteAnnotation}
+      />
+
+      <AnalyticsPanel stocks={chartStocks} interval={selectedRange.interval} zoomWindow={zoomWindow} />
     </div>
   );
 }
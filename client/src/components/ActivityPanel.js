@@ -0,0 +1,111 @@
+// client/src/components/ActivityPanel.js
+
+import React, { useEffect, useState } from 'react';
+
+const buttonStyle = {
+  padding: '2px 8px',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  backgroundColor: 'white',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+const timeAgo = (date, now) => {
+  const minutes = Math.floor((now - new Date(date).getTime()) / 60000);
+  if (minutes < 1) {
+    return 'just now';
+  }
+  if (minutes < 60) {
+    return `${minutes} min ago`;
+  }
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours} h ago`;
+  }
+  return new Date(date).toLocaleDateString();
+};
+
+// A sidebar with who is viewing the watchlist right now and its latest adds and
+// removes (newest first), as the server sends them (see server/activity.js). Changes
+// still in their undo window get an Undo button when the user can edit the list;
+// `undoing` holds the ids of undos awaiting the server. Calls onUndo(id) and onClose().
+function ActivityPanel({ entries, presence, userId, canUndo, undoing, onUndo, onClose }) {
+  // Ages and undo windows are relative to now, so keep it moving while the sidebar is open
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const name = (user) => (user.id === userId ? 'You' : user.username);
+
+  return (
+    <aside style={{
+      position: 'fixed',
+      top: 0,
+      right: 0,
+      bottom: 0,
+      width: '280px',
+      padding: '20px',
+      overflowY: 'auto',
+      backgroundColor: 'white',
+      borderLeft: '1px solid #ccc',
+      boxShadow: '-2px 0 10px rgba(0,0,0,0.1)',
+      fontFamily: 'Arial, sans-serif',
+      zIndex: 10
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{ color: '#555', margin: 0 }}>Activity</h2>
+        <button type="button" onClick={onClose} style={buttonStyle} aria-label="Close activity">Close</button>
+      </div>
+
+      <h3 style={{ color: '#555', fontSize: '14px', margin: '20px 0 8px' }}>Viewing now</h3>
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+        {presence.map(user => (
+          <li key={user.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '2px 0', fontSize: '14px', color: '#333' }}>
+            <span style={{ width: '8px', height: '8px', borderRadius: '50%', backgroundColor: '#4CAF50' }} />
+            {user.id === userId ? `${user.username} (you)` : user.username}
+          </li>
+        ))}
+      </ul>
+
+      <h3 style={{ color: '#555', fontSize: '14px', margin: '20px 0 8px' }}>Changes</h3>
+      {entries.length === 0 ? (
+        <p style={{ color: '#666', fontSize: '14px', margin: 0 }}>No changes yet.</p>
+      ) : (
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+          {entries.map(entry => {
+            const undoable = canUndo && !entry.undone && new Date(entry.undoableUntil).getTime() > now;
+            return (
+              <li key={entry.id} style={{ padding: '8px 0', borderBottom: '1px solid #eee', fontSize: '14px', color: entry.undone ? '#999' : '#333' }}>
+                <div style={{ textDecoration: entry.undone ? 'line-through' : 'none' }}>
+                  {name(entry.actor)} {entry.action === 'add' ? 'added' : 'removed'} <strong>{entry.symbol}</strong>
+                  {entry.undoOf && ' (undo)'}
+                </div>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '12px', color: '#666', marginTop: '2px' }}>
+                  <span title={new Date(entry.createdAt).toLocaleString()}>
+                    {timeAgo(entry.createdAt, now)}
+                    {entry.undone && ` · undone by ${entry.undone.by}`}
+                  </span>
+                  {undoable && (
+                    <button
+                      type="button"
+                      onClick={() => onUndo(entry.id)}
+                      disabled={undoing.includes(entry.id)}
+                      style={buttonStyle}
+                    >
+                      {undoing.includes(entry.id) ? 'Undoing...' : 'Undo'}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+export default ActivityPanel;
@@ -0,0 +1,111 @@
+// client/src/components/AlertsPanel.js
+
+import React, { useState } from 'react';
+
+const buttonStyle = {
+  padding: '4px 10px',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  backgroundColor: 'white',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const conditions = [
+  { key: 'above', label: 'closes above' },
+  { key: 'below', label: 'closes below' },
+  { key: 'change', label: 'moves % in a day' }
+];
+
+const describe = (alert) => (alert.condition === 'change'
+  ? `${alert.symbol} moves ${alert.threshold}% in a day`
+  : `${alert.symbol} closes ${alert.condition} ${alert.threshold}`);
+
+// Create, list, snooze and delete the signed-in user's price alerts.
+// `symbols` are offered first, but any symbol can be typed in.
+function AlertsPanel({ alerts, symbols, onCreate, onSnooze, onDelete }) {
+  const [symbol, setSymbol] = useState('');
+  const [condition, setCondition] = useState('below');
+  const [threshold, setThreshold] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const chosenSymbol = (symbol || symbols[0] || '').trim().toUpperCase();
+    if (!chosenSymbol || !(Number(threshold) > 0)) {
+      return;
+    }
+    onCreate({ symbol: chosenSymbol, condition, threshold: Number(threshold) });
+    setThreshold('');
+  };
+
+  return (
+    <div style={{ marginBottom: '30px' }}>
+      <h2 style={{ color: '#555', borderBottom: '1px solid #eee', paddingBottom: '10px', marginBottom: '15px' }}>Price Alerts</h2>
+      <form onSubmit={handleSubmit} style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center', marginBottom: '10px' }}>
+        <input
+          list="alert-symbols"
+          value={symbol}
+          onChange={(e) => setSymbol(e.target.value.toUpperCase())}
+          placeholder={symbols[0] || 'Symbol'}
+          style={{ padding: '6px', border: '1px solid #ccc', borderRadius: '4px', width: '90px' }}
+        />
+        <datalist id="alert-symbols">
+          {symbols.map(s => <option key={s} value={s} />)}
+        </datalist>
+        <select
+          value={condition}
+          onChange={(e) => setCondition(e.target.value)}
+          style={{ padding: '6px', borderRadius: '4px', border: '1px solid #ccc' }}
+        >
+          {conditions.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={threshold}
+          onChange={(e) => setThreshold(e.target.value)}
+          placeholder={condition === 'change' ? 'Percent' : 'Price'}
+          style={{ padding: '6px', border: '1px solid #ccc', borderRadius: '4px', width: '90px' }}
+        />
+        <button type="submit" style={buttonStyle}>Add alert</button>
+      </form>
+      {alerts.length === 0 && <p style={{ color: '#666', margin: 0 }}>No alerts yet.</p>}
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+        {alerts.map(alert => {
+          const snoozed = alert.snoozedUntil && new Date(alert.snoozedUntil) > new Date();
+          return (
+            <li key={alert.id} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', padding: '6px 0', borderBottom: '1px solid #eee' }}>
+              <span style={{ flexGrow: 1, color: snoozed ? '#999' : '#333' }}>
+                {describe(alert)}
+                {alert.lastTriggeredAt && (
+                  <span style={{ fontSize: '12px', color: '#666' }}> · last fired {new Date(alert.lastTriggeredAt).toLocaleString()}</span>
+                )}
+                {snoozed && (
+                  <span style={{ fontSize: '12px', color: '#666' }}> · snoozed until {new Date(alert.snoozedUntil).toLocaleString()}</span>
+                )}
+              </span>
+              {snoozed ? (
+                <button type="button" onClick={() => onSnooze(alert.id, 0)} style={buttonStyle}>Wake</button>
+              ) : (
+                <>
+                  <button type="button" onClick={() => onSnooze(alert.id, 60)} style={buttonStyle}>Snooze 1h</button>
+                  <button type="button" onClick={() => onSnooze(alert.id, 24 * 60)} style={buttonStyle}>Snooze 1d</button>
+                </>
+              )}
+              <button
+                type="button"
+                onClick={() => onDelete(alert.id)}
+                style={{ ...buttonStyle, color: '#dc3545', borderColor: '#dc3545' }}
+              >
+                Delete
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default AlertsPanel;
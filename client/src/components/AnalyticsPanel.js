@@ -0,0 +1,127 @@
+// client/src/components/AnalyticsPanel.js
+
+import React, { useMemo, useState } from 'react';
+import { analytics } from 'stock-chart-shared';
+import { inWindow } from '../utils/zoom';
+
+const cellStyle = { padding: '6px 8px', textAlign: 'right', borderBottom: '1px solid #eee' };
+
+const percent = (value) => (value === null ? '–' : `${(value * 100).toFixed(2)}%`);
+const ratio = (value) => (value === null ? '–' : value.toFixed(2));
+
+// Blue for positive correlation, red for negative, white near zero
+const heatColor = (value) => {
+  if (value === null) {
+    return '#f4f4f4';
+  }
+  const alpha = Math.min(1, Math.abs(value)).toFixed(2);
+  return value >= 0 ? `rgba(54, 162, 235, ${alpha})` : `rgba(220, 53, 69, ${alpha})`;
+};
+
+// Return, volatility, drawdown and Sharpe per symbol, and a correlation heatmap of
+// returns, computed from the bars on the chart. `stocks` are the charted series
+// ({ symbol, interval, data }), `interval` the current range's and `zoomWindow` the
+// zoomed dates (null for all); it recomputes whenever any changes. Series still on
+// another interval (a range change in flight) are left out until their bars arrive.
+function AnalyticsPanel({ stocks, interval, zoomWindow }) {
+  const [riskFreePercent, setRiskFreePercent] = useState('0');
+  const periodsPerYear = analytics.PERIODS_PER_YEAR[interval];
+  const riskFreeRate = (Number(riskFreePercent) || 0) / 100;
+
+  const series = useMemo(() => stocks
+    .filter(stock => stock.interval === interval)
+    .map(stock => ({ ...stock, data: stock.data.filter(bar => inWindow(zoomWindow, bar.date)) })), [stocks, interval, zoomWindow]);
+  const stats = useMemo(() => (
+    periodsPerYear ? series.map(stock => analytics.seriesStats(stock.data, interval, riskFreeRate)) : []
+  ), [series, interval, riskFreeRate, periodsPerYear]);
+  const matrix = useMemo(() => (
+    periodsPerYear ? analytics.correlationMatrix(series.map(stock => stock.data)) : []
+  ), [series, periodsPerYear]);
+
+  if (series.length === 0) {
+    return null;
+  }
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2 style={{ color: '#555', borderBottom: '1px solid #eee', paddingBottom: '10px', marginBottom: '15px' }}>
+        Analytics{zoomWindow ? ` (${zoomWindow.start} to ${zoomWindow.end})` : ''}
+      </h2>
+      {!periodsPerYear ? (
+        <p style={{ color: '#666', margin: 0 }}>Statistics need daily or longer bars; pick a range of 1 month or more.</p>
+      ) : (
+        <>
+          <label style={{ display: 'inline-flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#333', marginBottom: '10px' }}>
+            Risk-free rate (%/yr)
+            <input
+              type="number"
+              step="any"
+              value={riskFreePercent}
+              onChange={(e) => setRiskFreePercent(e.target.value)}
+              style={{ padding: '4px', border: '1px solid #ccc', borderRadius: '4px', width: '70px' }}
+            />
+          </label>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '20px' }}>
+            <thead>
+              <tr style={{ color: '#555' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>Symbol</th>
+                <th style={cellStyle}>Return</th>
+                <th style={cellStyle} title="Standard deviation of returns, annualized">Volatility</th>
+                <th style={cellStyle} title="Largest fall from a previous high">Max Drawdown</th>
+                <th style={cellStyle} title="Annualized excess return over volatility">Sharpe</th>
+              </tr>
+            </thead>
+            <tbody>
+              {series.map((stock, i) => (
+                <tr key={stock.symbol}>
+                  <td style={{ ...cellStyle, textAlign: 'left', fontWeight: 'bold', color: stock.color || '#333' }}>{stock.symbol}</td>
+                  <td style={cellStyle}>{percent(stats[i].periodReturn)}</td>
+                  <td style={cellStyle}>{percent(stats[i].volatility)}</td>
+                  <td style={cellStyle}>{percent(stats[i].maxDrawdown)}</td>
+                  <td style={cellStyle}>{ratio(stats[i].sharpe)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {series.length > 1 && (
+            <table style={{ borderCollapse: 'collapse', fontSize: '13px', margin: '0 auto' }}>
+              <caption style={{ color: '#555', marginBottom: '6px' }}>Correlation of {interval} returns</caption>
+              <thead>
+                <tr>
+                  <th />
+                  {series.map(stock => <th key={stock.symbol} style={{ padding: '4px 8px' }}>{stock.symbol}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {series.map((stock, i) => (
+                  <tr key={stock.symbol}>
+                    <th style={{ padding: '4px 8px', textAlign: 'right' }}>{stock.symbol}</th>
+                    {matrix[i].map((value, j) => (
+                      <td
+                        key={series[j].symbol}
+                        title={`${stock.symbol} / ${series[j].symbol}`}
+                        style={{
+                          width: '56px',
+                          padding: '8px 4px',
+                          textAlign: 'center',
+                          backgroundColor: heatColor(value),
+                          color: value !== null && Math.abs(value) > 0.6 ? 'white' : '#333',
+                          border: '1px solid white'
+                        }}
+                      >
+                        {ratio(value)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AnalyticsPanel;
@@ -0,0 +1,128 @@
+// client/src/components/AnnotationsPanel.js
+
+import React, { useState } from 'react';
+import { formatMoney } from '../utils/currency';
+
+const buttonStyle = {
+  padding: '4px 10px',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  backgroundColor: 'white',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+const inputStyle = { padding: '4px 6px', border: '1px solid #ccc', borderRadius: '4px' };
+
+const describe = (annotation, currency) => {
+  const [first, second] = annotation.points;
+  const at = (point) => `${formatMoney(point.price, currency)} on ${point.date}`;
+  if (annotation.kind === 'trendline') {
+    return `Trendline from ${at(first)} to ${at(second)}`;
+  }
+  if (annotation.kind === 'level') {
+    return `Level at ${formatMoney(first.price, currency)}`;
+  }
+  return `Note at ${at(first)}`;
+};
+
+// The watchlist's annotations on the charted symbols, with who drew each. Their
+// authors can change the text (and a level's price) or delete them; the rest
+// only read. `stocks` give each symbol's currency, in which prices are shown.
+// Calls onUpdate(id, { text, points }) and onDelete(id).
+function AnnotationsPanel({ annotations, stocks, userId, onUpdate, onDelete }) {
+  // The annotation being edited: { id, text, price }
+  const [editing, setEditing] = useState(null);
+
+  const currencyOf = (symbol) => {
+    const stock = stocks.find(s => s.symbol === symbol);
+    return (stock && stock.currency) || 'USD';
+  };
+  const shown = annotations
+    .filter(annotation => stocks.some(stock => stock.symbol === annotation.symbol))
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+  if (shown.length === 0) {
+    return null;
+  }
+
+  const handleSave = (e, annotation) => {
+    e.preventDefault();
+    const changes = { text: editing.text };
+    if (annotation.kind === 'level') {
+      if (!(Number(editing.price) > 0)) {
+        return;
+      }
+      changes.points = [{ ...annotation.points[0], price: Number(editing.price) }];
+    }
+    onUpdate(annotation.id, changes);
+    setEditing(null);
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <h2 style={{ color: '#555', borderBottom: '1px solid #eee', paddingBottom: '10px', marginBottom: '15px' }}>Annotations</h2>
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+        {shown.map(annotation => {
+          const own = annotation.author.id === userId;
+          return (
+            <li key={annotation.id} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', padding: '6px 0', borderBottom: '1px solid #eee' }}>
+              <strong style={{ color: '#333', minWidth: '60px' }}>{annotation.symbol}</strong>
+              {editing && editing.id === annotation.id ? (
+                <form onSubmit={(e) => handleSave(e, annotation)} style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', flexGrow: 1 }}>
+                  {annotation.kind === 'level' && (
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={editing.price}
+                      onChange={(e) => setEditing({ ...editing, price: e.target.value })}
+                      title={`Price in ${currencyOf(annotation.symbol)}`}
+                      style={{ ...inputStyle, width: '90px' }}
+                    />
+                  )}
+                  <input
+                    value={editing.text}
+                    onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                    placeholder={annotation.kind === 'note' ? 'Note' : 'Label (optional)'}
+                    maxLength={500}
+                    style={{ ...inputStyle, flexGrow: 1 }}
+                  />
+                  <button type="submit" style={buttonStyle}>Save</button>
+                  <button type="button" onClick={() => setEditing(null)} style={buttonStyle}>Cancel</button>
+                </form>
+              ) : (
+                <>
+                  <span style={{ flexGrow: 1, color: '#333' }}>
+                    {describe(annotation, currencyOf(annotation.symbol))}
+                    {annotation.text && <>: <em>{annotation.text}</em></>}
+                    <span style={{ fontSize: '12px', color: '#666' }}> · {own ? 'you' : annotation.author.username}</span>
+                  </span>
+                  {own && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => setEditing({ id: annotation.id, text: annotation.text, price: String(annotation.points[0].price) })}
+                        style={buttonStyle}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => onDelete(annotation.id)}
+                        style={{ ...buttonStyle, color: '#dc3545', borderColor: '#dc3545' }}
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default AnnotationsPanel;
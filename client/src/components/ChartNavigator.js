@@ -0,0 +1,151 @@
+// client/src/components/ChartNavigator.js
+
+import React, { useRef } from 'react';
+import { Line } from 'react-chartjs-2';
+import { Y_AXIS_WIDTH } from '../utils/crosshair';
+import { MIN_ZOOM_BARS } from '../utils/zoom';
+
+// How close (px) to a brush edge a press grabs that edge
+const HANDLE_PX = 6;
+
+// Shades the chart outside options.min..options.max (label indexes) and draws the brush edges
+const brushPlugin = {
+  id: 'brush',
+  afterDraw(chart, args, options) {
+    const { left, right, top, bottom } = chart.chartArea;
+    const x = chart.scales.x;
+    const minX = x.getPixelForValue(options.min);
+    const maxX = x.getPixelForValue(options.max);
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.12)';
+    ctx.fillRect(left, top, minX - left, bottom - top);
+    ctx.fillRect(maxX, top, right - maxX, bottom - top);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.strokeRect(minX, top, maxX - minX, bottom - top);
+    ctx.fillStyle = '#666';
+    [minX, maxX].forEach(edge => ctx.fillRect(edge - 2, top + (bottom - top) / 2 - 8, 4, 16));
+    ctx.restore();
+  }
+};
+
+// An overview of the whole loaded range under the price chart, with a brush over the
+// zoomed window: drag it to pan, drag its edges to resize, or click elsewhere to
+// move it there. `values` is parallel to `labels`; `xRange` is the window's label
+// indexes ({ min, max }) or null for all of them. Calls onChange(min, max).
+function ChartNavigator({ labels, values, xRange, onChange, reserveRightAxis }) {
+  const chartRef = useRef(null);
+  const dragRef = useRef(null);
+  const last = labels.length - 1;
+  const min = xRange ? xRange.min : 0;
+  const max = xRange ? xRange.max : last;
+
+  const pixelOf = (event) => event.clientX - chartRef.current.canvas.getBoundingClientRect().left;
+  const indexAt = (event) => {
+    const index = Math.round(chartRef.current.scales.x.getValueForPixel(pixelOf(event)));
+    return Math.min(last, Math.max(0, index));
+  };
+  const clampedMove = (start, width) => {
+    const first = Math.min(last - width, Math.max(0, start));
+    return [first, first + width];
+  };
+
+  // What a press at this pixel would grab
+  const partAt = (x) => {
+    const scale = chartRef.current.scales.x;
+    const minX = scale.getPixelForValue(min);
+    const maxX = scale.getPixelForValue(max);
+    if (Math.abs(x - minX) <= HANDLE_PX) {
+      return 'start';
+    }
+    if (Math.abs(x - maxX) <= HANDLE_PX) {
+      return 'end';
+    }
+    return x > minX && x < maxX ? 'move' : null;
+  };
+
+  const handlePointerDown = (event) => {
+    if (!chartRef.current || last < MIN_ZOOM_BARS) {
+      return;
+    }
+    const index = indexAt(event);
+    let part = partAt(pixelOf(event));
+    let brush = { min, max };
+    if (!part) {
+      const [start, end] = clampedMove(index - Math.round((max - min) / 2), max - min);
+      brush = { min: start, max: end };
+      part = 'move';
+      onChange(start, end);
+    }
+    dragRef.current = { part, anchor: index, ...brush };
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!chartRef.current) {
+      return;
+    }
+    const drag = dragRef.current;
+    if (!drag) {
+      const part = partAt(pixelOf(event));
+      event.currentTarget.style.cursor = part === 'move' ? 'grab' : part ? 'ew-resize' : 'pointer';
+      return;
+    }
+    const index = indexAt(event);
+    if (drag.part === 'start') {
+      onChange(Math.min(index, drag.max - MIN_ZOOM_BARS + 1), drag.max);
+    } else if (drag.part === 'end') {
+      onChange(drag.min, Math.max(index, drag.min + MIN_ZOOM_BARS - 1));
+    } else {
+      onChange(...clampedMove(drag.min + index - drag.anchor, drag.max - drag.min));
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const data = {
+    labels,
+    datasets: [{
+      data: values,
+      borderColor: 'rgba(0, 0, 0, 0.45)',
+      borderWidth: 1,
+      pointRadius: 0,
+      spanGaps: true
+    }]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    events: [],
+    // Same left edge as the charts above, and the same right edge when they reserve an axis
+    layout: { padding: { left: Y_AXIS_WIDTH, right: reserveRightAxis ? Y_AXIS_WIDTH : 0 } },
+    plugins: {
+      legend: { display: false },
+      tooltip: { enabled: false },
+      brush: { min, max }
+    },
+    scales: {
+      x: { display: false },
+      y: { display: false }
+    }
+  };
+
+  return (
+    <div
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      style={{ height: '100%', touchAction: 'none', userSelect: 'none' }}
+      title="Drag to pan, drag the edges to zoom"
+    >
+      <Line ref={chartRef} data={data} options={options} plugins={[brushPlugin]} />
+    </div>
+  );
+}
+
+export default ChartNavigator;
@@ -0,0 +1,95 @@
+// client/src/components/CustomSeriesImport.js
+
+import React, { useState } from 'react';
+
+const inputStyle = { padding: '6px', border: '1px solid #ccc', borderRadius: '4px' };
+
+// Upload a `date,open,high,low,close,volume` CSV as a custom symbol priced in the given currency.
+// The server validates every row and its errors are listed here; calls onImported(summary) once stored.
+function CustomSeriesImport({ backendUrl, token, onImported }) {
+  const [symbol, setSymbol] = useState('');
+  const [name, setName] = useState('');
+  const [currency, setCurrency] = useState('USD');
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState('');
+  const [rowErrors, setRowErrors] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setRowErrors([]);
+    if (!symbol || !file) {
+      setError('Enter a symbol and choose a CSV file to import.');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const response = await fetch(`${backendUrl}/api/v1/custom-series/${encodeURIComponent(symbol)}?name=${encodeURIComponent(name)}&currency=${encodeURIComponent(currency)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'text/csv', Authorization: `Bearer ${token}` },
+        body: await file.text()
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        setError(body.message || 'The import failed.');
+        setRowErrors(body.rowErrors || []);
+        return;
+      }
+      setSymbol('');
+      setName('');
+      setFile(null);
+      e.target.reset();
+      onImported(body.data);
+    } catch (fetchError) {
+      console.error('Could not reach the server:', fetchError);
+      setError('Could not reach the server.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: '30px' }}>
+      <h2 style={{ color: '#555', borderBottom: '1px solid #eee', paddingBottom: '10px', marginBottom: '15px' }}>Import Series</h2>
+      <form onSubmit={handleSubmit} style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center' }}>
+        <input
+          value={symbol}
+          onChange={(e) => setSymbol(e.target.value.toUpperCase().trim())}
+          placeholder="Symbol"
+          style={{ ...inputStyle, width: '90px' }}
+        />
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Name (optional)" style={{ ...inputStyle, width: '180px' }} />
+        <input
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value.toUpperCase().trim())}
+          placeholder="Currency"
+          maxLength={3}
+          title="Currency the prices are in (e.g. USD, EUR)"
+          style={{ ...inputStyle, width: '60px' }}
+        />
+        <input type="file" accept=".csv,text/csv" onChange={(e) => setFile(e.target.files[0] || null)} />
+        <button
+          type="submit"
+          disabled={submitting}
+          style={{ ...inputStyle, padding: '4px 10px', backgroundColor: 'white', cursor: submitting ? 'not-allowed' : 'pointer', fontSize: '13px' }}
+        >
+          {submitting ? 'Importing...' : 'Import'}
+        </button>
+      </form>
+      <p style={{ color: '#666', fontSize: '13px', margin: '6px 0 0' }}>
+        Daily bars with a <code>date,open,high,low,close,volume</code> header, dates as YYYY-MM-DD.
+      </p>
+      {error && <p style={{ color: 'red', margin: '6px 0 0' }}>{error}</p>}
+      {rowErrors.length > 0 && (
+        <ul style={{ color: '#a00', fontSize: '13px', margin: '6px 0 0', maxHeight: '160px', overflowY: 'auto' }}>
+          {rowErrors.map((rowError, i) => (
+            <li key={i}>{rowError.line ? `Line ${rowError.line}: ` : ''}{rowError.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default CustomSeriesImport;
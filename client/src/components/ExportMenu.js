@@ -0,0 +1,28 @@
+// client/src/components/ExportMenu.js
+
+import React from 'react';
+
+const formats = [
+  { key: 'csv', label: 'CSV (visible data)' },
+  { key: 'json', label: 'JSON (visible data)' },
+  { key: 'png', label: 'PNG image of the chart' },
+  { key: 'serverCsv', label: 'CSV from the server (large ranges)' }
+];
+
+// Export picker: calls onExport with the chosen format key and resets itself
+function ExportMenu({ onExport, disabled }) {
+  return (
+    <select
+      value=""
+      disabled={disabled}
+      onChange={(e) => onExport(e.target.value)}
+      title="Download what the chart shows"
+      style={{ marginLeft: '6px', padding: '6px', borderRadius: '4px', border: '1px solid #ccc' }}
+    >
+      <option value="" disabled>Export…</option>
+      {formats.map(format => <option key={format.key} value={format.key}>{format.label}</option>)}
+    </select>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,55 @@
+// client/src/components/IndicatorControls.js
+
+import React from 'react';
+
+const periodInputStyle = { width: '48px', marginLeft: '4px', padding: '2px 4px', border: '1px solid #ccc', borderRadius: '4px' };
+
+// One checkbox per indicator, followed by number inputs for its parameters
+const indicatorFields = [
+  { key: 'sma', label: 'SMA', params: ['period'] },
+  { key: 'ema', label: 'EMA', params: ['period'] },
+  { key: 'bollinger', label: 'Bollinger', params: ['period', 'multiplier'] },
+  { key: 'vwap', label: 'VWAP', params: [] },
+  { key: 'rsi', label: 'RSI', params: ['period'] },
+  { key: 'macd', label: 'MACD', params: ['fast', 'slow', 'signal'] }
+];
+
+function IndicatorControls({ settings, onChange }) {
+  const update = (key, changes) => onChange({ ...settings, [key]: { ...settings[key], ...changes } });
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '14px', marginBottom: '10px', fontSize: '14px', color: '#333' }}>
+      {indicatorFields.map(field => (
+        <label key={field.key} style={{ display: 'flex', alignItems: 'center' }}>
+          <input
+            type="checkbox"
+            checked={settings[field.key].enabled}
+            onChange={(e) => update(field.key, { enabled: e.target.checked })}
+            style={{ marginRight: '4px' }}
+          />
+          {field.label}
+          {field.params.map(param => (
+            <input
+              key={param}
+              type="number"
+              title={param}
+              min={param === 'multiplier' ? 0.5 : 2}
+              max={200}
+              step={param === 'multiplier' ? 0.5 : 1}
+              value={settings[field.key][param]}
+              onChange={(e) => {
+                const value = Number(e.target.value);
+                if (value > 0) {
+                  update(field.key, { [param]: value });
+                }
+              }}
+              style={periodInputStyle}
+            />
+          ))}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+export default IndicatorControls;
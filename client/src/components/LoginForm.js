@@ -0,0 +1,92 @@
+// client/src/components/LoginForm.js
+
+import React, { useState } from 'react';
+
+const inputStyle = {
+  padding: '10px',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  fontSize: '16px'
+};
+
+// Sign in or create an account. Calls onLogin({ token, user }) with the server's answer.
+function LoginForm({ backendUrl, onLogin }) {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await fetch(`${backendUrl}/auth/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        setError(body.error || 'Something went wrong.');
+        return;
+      }
+      onLogin(body);
+    } catch (fetchError) {
+      console.error('Could not reach the server:', fetchError);
+      setError('Could not reach the server.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const registering = mode === 'register';
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '10px', maxWidth: '320px', margin: '0 auto' }}>
+      <h2 style={{ textAlign: 'center', color: '#555' }}>{registering ? 'Create an account' : 'Sign in'}</h2>
+      {error && <p style={{ color: 'red', textAlign: 'center', margin: 0 }}>{error}</p>}
+      <input
+        type="text"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        placeholder="Username"
+        autoComplete="username"
+        style={inputStyle}
+      />
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Password"
+        autoComplete={registering ? 'new-password' : 'current-password'}
+        style={inputStyle}
+      />
+      <button
+        type="submit"
+        disabled={submitting}
+        style={{
+          padding: '10px 20px',
+          backgroundColor: submitting ? '#6c757d' : '#4CAF50',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: submitting ? 'not-allowed' : 'pointer',
+          fontSize: '16px'
+        }}
+      >
+        {registering ? 'Register' : 'Sign in'}
+      </button>
+      <button
+        type="button"
+        onClick={() => { setMode(registering ? 'login' : 'register'); setError(''); }}
+        style={{ background: 'none', border: 'none', color: '#007bff', cursor: 'pointer' }}
+      >
+        {registering ? 'Already have an account? Sign in' : 'New here? Create an account'}
+      </button>
+    </form>
+  );
+}
+
+export default LoginForm;
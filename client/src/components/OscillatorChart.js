@@ -0,0 +1,86 @@
+// client/src/components/OscillatorChart.js
+
+import React from 'react';
+import { Chart } from 'react-chartjs-2';
+import { Y_AXIS_WIDTH, fixYAxisWidth } from '../utils/crosshair';
+
+const RSI_OVERBOUGHT = 70;
+const RSI_OVERSOLD = 30;
+
+const lineDataset = (label, data, color, extra = {}) => ({
+  type: 'line',
+  label,
+  data,
+  borderColor: color,
+  borderWidth: 1.5,
+  pointRadius: 0,
+  spanGaps: true,
+  ...extra
+});
+
+// Lower panel for an RSI or MACD series (see utils/indicatorSeries), on the price chart's labels
+function OscillatorChart({ kind, series, labels, chartRef, onHover, reserveRightAxis, xRange }) {
+  const datasets = kind === 'rsi'
+    ? [
+      lineDataset(series.label, series.values, 'rgb(138, 43, 226)'),
+      lineDataset('Overbought', labels.map(() => RSI_OVERBOUGHT), 'rgba(220, 53, 69, 0.5)', { borderDash: [4, 4], borderWidth: 1 }),
+      lineDataset('Oversold', labels.map(() => RSI_OVERSOLD), 'rgba(0, 150, 80, 0.5)', { borderDash: [4, 4], borderWidth: 1 })
+    ]
+    : [
+      lineDataset('MACD', series.macd, 'rgb(54, 162, 235)'),
+      lineDataset('Signal', series.signal, 'rgb(255, 140, 0)'),
+      {
+        type: 'bar',
+        label: 'Histogram',
+        data: series.histogram,
+        backgroundColor: series.histogram.map(value => (value !== null && value < 0 ? 'rgba(220, 53, 69, 0.5)' : 'rgba(0, 150, 80, 0.5)'))
+      }
+    ];
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    onHover,
+    // Room for the price chart's right-hand axis when it has one
+    layout: { padding: { right: reserveRightAxis ? Y_AXIS_WIDTH : 0 } },
+    plugins: {
+      legend: { display: false },
+      title: {
+        display: true,
+        text: series.label,
+        align: 'start',
+        font: { size: 12 },
+        padding: 2
+      },
+      tooltip: {
+        mode: 'index',
+        intersect: false,
+        filter: (tooltipItem) => tooltipItem.raw !== null,
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        offset: true,
+        // The price chart's zoomed window, so dates stay lined up
+        min: xRange ? xRange.min : undefined,
+        max: xRange ? xRange.max : undefined,
+        ticks: { display: false },
+        grid: { display: false }
+      },
+      y: {
+        afterFit: fixYAxisWidth,
+        ...(kind === 'rsi' ? { min: 0, max: 100 } : {}),
+        ticks: { font: { size: 11 } },
+        grid: { color: 'rgba(0,0,0,0.05)' }
+      }
+    }
+  };
+
+  return <Chart ref={chartRef} type="bar" data={{ labels, datasets }} options={options} />;
+}
+
+export default OscillatorChart;
@@ -0,0 +1,140 @@
+// client/src/components/PortfolioPanel.js
+
+import React, { useState } from 'react';
+import { formatMoney } from '../utils/currency';
+
+const buttonStyle = {
+  padding: '4px 10px',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  backgroundColor: 'white',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+const inputStyle = { padding: '6px', border: '1px solid #ccc', borderRadius: '4px', width: '90px' };
+const cellStyle = { padding: '6px 8px', textAlign: 'right', borderBottom: '1px solid #eee' };
+
+const money = (value, currency) => (value === null || value === undefined ? '–' : formatMoney(value, currency));
+const pnlColor = (value) => (value > 0 ? 'green' : value < 0 ? '#dc3545' : '#333');
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Record buys and sells, and show the holdings and P&L the server computes from them
+// (`portfolio` is the server's 'portfolio' payload, or null before it arrives). Holdings
+// are in the portfolio's currency, transactions in their symbol's own.
+function PortfolioPanel({ portfolio, symbols, onAdd, onDelete }) {
+  const [form, setForm] = useState({ symbol: '', side: 'buy', date: today(), quantity: '', price: '', fees: '' });
+  const [showTransactions, setShowTransactions] = useState(false);
+
+  const update = (field) => (e) => setForm({ ...form, [field]: field === 'symbol' ? e.target.value.toUpperCase() : e.target.value });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const symbol = (form.symbol || symbols[0] || '').trim();
+    if (!symbol || !(Number(form.quantity) > 0) || form.price === '') {
+      return;
+    }
+    onAdd({
+      symbol,
+      side: form.side,
+      date: form.date,
+      quantity: Number(form.quantity),
+      price: Number(form.price),
+      fees: Number(form.fees || 0)
+    });
+    setForm({ ...form, quantity: '', price: '', fees: '' });
+  };
+
+  const holdings = portfolio ? portfolio.holdings : [];
+  const transactions = portfolio ? portfolio.transactions : [];
+
+  return (
+    <div style={{ marginBottom: '30px' }}>
+      <h2 style={{ color: '#555', borderBottom: '1px solid #eee', paddingBottom: '10px', marginBottom: '15px' }}>Portfolio</h2>
+      <form onSubmit={handleSubmit} style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center', marginBottom: '10px' }}>
+        <select value={form.side} onChange={update('side')} style={{ padding: '6px', borderRadius: '4px', border: '1px solid #ccc' }}>
+          <option value="buy">Buy</option>
+          <option value="sell">Sell</option>
+        </select>
+        <input list="portfolio-symbols" value={form.symbol} onChange={update('symbol')} placeholder={symbols[0] || 'Symbol'} style={inputStyle} />
+        <datalist id="portfolio-symbols">
+          {symbols.map(s => <option key={s} value={s} />)}
+        </datalist>
+        <input type="date" value={form.date} max={today()} onChange={update('date')} style={{ ...inputStyle, width: '140px' }} />
+        <input type="number" min="0" step="any" value={form.quantity} onChange={update('quantity')} placeholder="Quantity" style={inputStyle} />
+        <input type="number" min="0" step="any" value={form.price} onChange={update('price')} placeholder="Price" style={inputStyle} />
+        <input type="number" min="0" step="any" value={form.fees} onChange={update('fees')} placeholder="Fees" style={inputStyle} />
+        <button type="submit" style={buttonStyle}>Record</button>
+      </form>
+
+      {holdings.length === 0 ? (
+        <p style={{ color: '#666', margin: 0 }}>No transactions yet.</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+          <thead>
+            <tr style={{ color: '#555' }}>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Symbol</th>
+              <th style={cellStyle}>Quantity</th>
+              <th style={cellStyle}>Avg Cost</th>
+              <th style={cellStyle}>Cost Basis</th>
+              <th style={cellStyle}>Last</th>
+              <th style={cellStyle}>Market Value</th>
+              <th style={cellStyle}>Unrealized</th>
+              <th style={cellStyle}>Realized</th>
+            </tr>
+          </thead>
+          <tbody>
+            {holdings.map(holding => (
+              <tr key={holding.symbol}>
+                <td style={{ ...cellStyle, textAlign: 'left', fontWeight: 'bold' }}>{holding.symbol}</td>
+                <td style={cellStyle}>{holding.quantity.toLocaleString()}</td>
+                <td style={cellStyle}>{money(holding.averageCost, portfolio.currency)}</td>
+                <td style={cellStyle}>{money(holding.costBasis, portfolio.currency)}</td>
+                <td style={cellStyle}>{money(holding.lastPrice, portfolio.currency)}</td>
+                <td style={cellStyle}>{money(holding.marketValue, portfolio.currency)}</td>
+                <td style={{ ...cellStyle, color: pnlColor(holding.unrealizedPnl) }}>{money(holding.unrealizedPnl, portfolio.currency)}</td>
+                <td style={{ ...cellStyle, color: pnlColor(holding.realizedPnl) }}>{money(holding.realizedPnl, portfolio.currency)}</td>
+              </tr>
+            ))}
+            <tr style={{ fontWeight: 'bold' }}>
+              <td style={{ ...cellStyle, textAlign: 'left' }}>Total</td>
+              <td style={cellStyle} />
+              <td style={cellStyle} />
+              <td style={cellStyle}>{money(portfolio.totals.costBasis, portfolio.currency)}</td>
+              <td style={cellStyle} />
+              <td style={cellStyle}>{money(portfolio.totals.marketValue, portfolio.currency)}</td>
+              <td style={{ ...cellStyle, color: pnlColor(portfolio.totals.unrealizedPnl) }}>{money(portfolio.totals.unrealizedPnl, portfolio.currency)}</td>
+              <td style={{ ...cellStyle, color: pnlColor(portfolio.totals.realizedPnl) }}>{money(portfolio.totals.realizedPnl, portfolio.currency)}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+
+      {transactions.length > 0 && (
+        <button type="button" onClick={() => setShowTransactions(!showTransactions)} style={{ ...buttonStyle, marginTop: '10px' }}>
+          {showTransactions ? 'Hide transactions' : `Show transactions (${transactions.length})`}
+        </button>
+      )}
+      {showTransactions && (
+        <ul style={{ listStyle: 'none', padding: 0, margin: '10px 0 0' }}>
+          {transactions.map(transaction => (
+            <li key={transaction.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '4px 0', borderBottom: '1px solid #eee', fontSize: '14px' }}>
+              <span style={{ flexGrow: 1 }}>
+                {transaction.date} · {transaction.side === 'buy' ? 'Bought' : 'Sold'} {transaction.quantity} {transaction.symbol} at {money(transaction.price, portfolio.currencies[transaction.symbol])}
+                {transaction.fees > 0 && ` (fees ${money(transaction.fees, portfolio.currencies[transaction.symbol])})`}
+              </span>
+              <button
+                type="button"
+                onClick={() => onDelete(transaction.id)}
+                style={{ ...buttonStyle, color: '#dc3545', borderColor: '#dc3545' }}
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PortfolioPanel;
@@ -0,0 +1,127 @@
+// client/src/components/SymbolSearch.js
+
+import React, { useEffect, useRef, useState } from 'react';
+
+const SEARCH_DELAY_MS = 250;
+
+// Symbol input with a debounced autocomplete dropdown from /api/v1/symbols/search.
+// Arrow keys move through the suggestions, Enter picks one (or submits the form
+// when none is highlighted) and Escape closes the list.
+function SymbolSearch({ backendUrl, token, value, onChange, disabled, placeholder, style }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(-1);
+  const [open, setOpen] = useState(false);
+  // Set after a pick, so filling in the input doesn't search for what was just chosen
+  const pickedRef = useRef(false);
+
+  useEffect(() => {
+    if (pickedRef.current || !value.trim()) {
+      pickedRef.current = false;
+      setSuggestions([]);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`${backendUrl}/api/v1/symbols/search?q=${encodeURIComponent(value.trim())}`, {
+          headers: { Authorization: `Bearer ${token}` },
+          signal: controller.signal
+        });
+        const body = await response.json();
+        setSuggestions(body.success ? body.data : []);
+        setHighlighted(-1);
+        setOpen(true);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Symbol search failed:', error);
+        }
+      }
+    }, SEARCH_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value, backendUrl, token]);
+
+  const pick = (suggestion) => {
+    pickedRef.current = true;
+    onChange(suggestion.symbol);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) {
+      return;
+    }
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => (index <= 0 ? suggestions.length : index) - 1);
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault();
+      pick(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const showList = open && suggestions.length > 0 && !disabled;
+
+  return (
+    <div style={{ position: 'relative', flexGrow: 1, maxWidth: '300px', marginRight: '10px' }}>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value.toUpperCase())}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setOpen(false)}
+        placeholder={placeholder}
+        disabled={disabled}
+        role="combobox"
+        aria-expanded={showList}
+        aria-controls="symbol-suggestions"
+        aria-autocomplete="list"
+        style={{ ...style, width: '100%', boxSizing: 'border-box' }}
+      />
+      {showList && (
+        <ul
+          id="symbol-suggestions"
+          role="listbox"
+          style={{
+            position: 'absolute', top: '100%', left: 0, right: 0, zIndex: 10,
+            listStyle: 'none', margin: 0, padding: 0,
+            background: 'white', border: '1px solid #ccc', borderRadius: '4px',
+            boxShadow: '0 2px 6px rgba(0,0,0,0.15)', maxHeight: '260px', overflowY: 'auto'
+          }}
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.symbol}
+              role="option"
+              aria-selected={index === highlighted}
+              // mousedown, not click: it fires before the input's blur closes the list
+              onMouseDown={(e) => { e.preventDefault(); pick(suggestion); }}
+              onMouseEnter={() => setHighlighted(index)}
+              style={{
+                display: 'flex', justifyContent: 'space-between', gap: '10px',
+                padding: '8px 10px', cursor: 'pointer',
+                backgroundColor: index === highlighted ? '#e8f0fe' : 'white'
+              }}
+            >
+              <span>
+                <strong>{suggestion.symbol}</strong> <span style={{ color: '#555' }}>{suggestion.name}</span>
+              </span>
+              <span style={{ color: '#888', fontSize: '12px', whiteSpace: 'nowrap' }}>
+                {suggestion.exchange} · {suggestion.currency}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SymbolSearch;
@@ -0,0 +1,63 @@
+// client/src/components/VolumeChart.js
+
+import React from 'react';
+import { Bar } from 'react-chartjs-2';
+import { Y_AXIS_WIDTH, fixYAxisWidth } from '../utils/crosshair';
+
+const UP_COLOR = 'rgba(0, 150, 80, 0.6)';
+const DOWN_COLOR = 'rgba(220, 53, 69, 0.6)';
+
+// Volume bars for one symbol, drawn on the same labels as the price chart above it.
+// `bars` is parallel to `labels` and holds null on dates the symbol has no bar.
+function VolumeChart({ symbol, labels, bars, chartRef, onHover, reserveRightAxis, xRange }) {
+  const data = {
+    labels,
+    datasets: [{
+      label: `${symbol} Volume`,
+      data: bars.map(bar => (bar ? bar.volume : null)),
+      backgroundColor: bars.map(bar => (bar && bar.close < bar.open ? DOWN_COLOR : UP_COLOR)),
+      borderWidth: 0
+    }]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    onHover,
+    // Room for the price chart's right-hand axis when it has one
+    layout: { padding: { right: reserveRightAxis ? Y_AXIS_WIDTH : 0 } },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        mode: 'index',
+        intersect: false,
+        callbacks: {
+          label: (context) => `${symbol} Volume: ${context.parsed.y.toLocaleString()}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        offset: true,
+        // The price chart's zoomed window, so dates stay lined up
+        min: xRange ? xRange.min : undefined,
+        max: xRange ? xRange.max : undefined,
+        ticks: { display: false },
+        grid: { display: false }
+      },
+      y: {
+        afterFit: fixYAxisWidth,
+        ticks: {
+          font: { size: 11 },
+          callback: (value) => Intl.NumberFormat('en-US', { notation: 'compact' }).format(value)
+        },
+        grid: { color: 'rgba(0,0,0,0.05)' }
+      }
+    }
+  };
+
+  return <Bar ref={chartRef} data={data} options={options} />;
+}
+
+export default VolumeChart;
@@ -0,0 +1,115 @@
+// client/src/components/WatchlistPicker.js
+
+import React, { useState } from 'react';
+
+const buttonStyle = {
+  padding: '6px 12px',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  backgroundColor: 'white',
+  color: '#333',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+// Choose, create, delete and share watchlists. The current list's slug is in
+// the page URL, so copying the link shares exactly this list with anyone who has access.
+// `role` is the signed-in user's role on the current list; owners can delete it and grant access.
+function WatchlistPicker({ watchlists, currentSlug, role, onSelect, onCreate, onDelete, onShare }) {
+  const [newName, setNewName] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [shareUsername, setShareUsername] = useState('');
+  const [shareRole, setShareRole] = useState('viewer');
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (newName.trim()) {
+      onCreate(newName.trim());
+      setNewName('');
+    }
+  };
+
+  const handleShare = (e) => {
+    e.preventDefault();
+    if (shareUsername.trim()) {
+      onShare(shareUsername.trim(), shareRole === 'none' ? null : shareRole);
+      setShareUsername('');
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Could not copy link:', error);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', alignItems: 'center', gap: '8px', marginBottom: '20px' }}>
+      <label style={{ fontWeight: 'bold', color: '#333' }} htmlFor="watchlist-select">Watchlist:</label>
+      <select
+        id="watchlist-select"
+        value={currentSlug || ''}
+        onChange={(e) => onSelect(e.target.value)}
+        style={{ padding: '6px', borderRadius: '4px', border: '1px solid #ccc', minWidth: '160px' }}
+      >
+        {watchlists.map(watchlist => (
+          <option key={watchlist.slug} value={watchlist.slug}>
+            {watchlist.name} ({watchlist.symbolCount})
+          </option>
+        ))}
+      </select>
+      <button type="button" onClick={handleCopyLink} style={buttonStyle}>
+        {copied ? 'Link copied!' : 'Copy link'}
+      </button>
+      {role && role !== 'owner' && (
+        <span style={{ fontSize: '13px', color: '#666' }}>({role === 'viewer' ? 'view only' : 'editor'})</span>
+      )}
+      {currentSlug && currentSlug !== 'default' && role === 'owner' && (
+        <button
+          type="button"
+          onClick={() => onDelete(currentSlug)}
+          style={{ ...buttonStyle, color: '#dc3545', borderColor: '#dc3545' }}
+        >
+          Delete list
+        </button>
+      )}
+      <form onSubmit={handleCreate} style={{ display: 'flex', gap: '6px' }}>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New watchlist name"
+          style={{ padding: '6px', border: '1px solid #ccc', borderRadius: '4px' }}
+        />
+        <button type="submit" style={buttonStyle}>Create</button>
+      </form>
+      {role === 'owner' && (
+        <form onSubmit={handleShare} style={{ display: 'flex', gap: '6px' }}>
+          <input
+            type="text"
+            value={shareUsername}
+            onChange={(e) => setShareUsername(e.target.value)}
+            placeholder="Share with username"
+            style={{ padding: '6px', border: '1px solid #ccc', borderRadius: '4px' }}
+          />
+          <select
+            value={shareRole}
+            onChange={(e) => setShareRole(e.target.value)}
+            style={{ padding: '6px', borderRadius: '4px', border: '1px solid #ccc' }}
+          >
+            <option value="viewer">Can view</option>
+            <option value="editor">Can edit</option>
+            <option value="none">Remove access</option>
+          </select>
+          <button type="submit" style={buttonStyle}>Share</button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default WatchlistPicker;
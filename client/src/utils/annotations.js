@@ -0,0 +1,115 @@
+// client/src/utils/annotations.js
+
+// Annotations keep a symbol's price as traded; the chart may show it adjusted,
+// converted to another currency or as percent change. These map between the two
+// through the bars themselves, so annotations sit on the same bars for everyone.
+
+// How the chart shows one symbol's price around `date`: the ratio of its shown close
+// to its traded close on the latest bar at or before that date (the first bar for
+// earlier dates). `rawBars` are the symbol's bars as received, `shownBars` as charted;
+// null when none are charted.
+export const displayFactorAt = (rawBars, shownBars, date) => {
+  if (shownBars.length === 0) {
+    return null;
+  }
+  let shown = shownBars[0];
+  shownBars.forEach(bar => {
+    if (bar.date <= date) {
+      shown = bar;
+    }
+  });
+  const raw = rawBars.find(bar => bar.date === shown.date);
+  return raw && raw.close ? shown.close / raw.close : null;
+};
+
+// A traded price as a value on the chart's y axis, and back. `percentBase` is the
+// shown close percent mode measures from (null outside percent mode).
+export const toChartValue = (price, factor, percentBase) => {
+  const shown = price * factor;
+  return percentBase ? ((shown - percentBase) / percentBase) * 100 : shown;
+};
+export const fromChartValue = (value, factor, percentBase) => {
+  const shown = percentBase ? percentBase * (1 + value / 100) : value;
+  return shown / factor;
+};
+
+// The label index `date` falls on: its own bar, or for longer intervals the first bar
+// after it (the week or month it belongs to). null outside the loaded dates.
+export const dateIndex = (dates, date) => {
+  if (dates.length === 0 || date < dates[0]) {
+    return null;
+  }
+  const index = dates.findIndex(candidate => candidate >= date);
+  return index === -1 ? null : index;
+};
+
+const drawLabel = (ctx, text, x, y, color) => {
+  ctx.font = '12px Arial, sans-serif';
+  const width = ctx.measureText(text).width + 8;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.fillRect(x, y - 16, width, 16);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(x, y - 16, width, 16);
+  ctx.fillStyle = '#333';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, x + 4, y - 8);
+};
+
+// Draws `options.plugins.annotations.items`: [{ kind: 'trendline' | 'level' | 'note',
+// points: [{ x, y }], text, color }] with x a label index and y a value on the y axis.
+// Levels span the chart; everything is clipped to the chart area.
+export const annotationsPlugin = {
+  id: 'annotations',
+  afterDatasetsDraw(chart, args, pluginOptions) {
+    const items = (pluginOptions && pluginOptions.items) || [];
+    if (items.length === 0) {
+      return;
+    }
+    const { left, right, top, bottom } = chart.chartArea;
+    const ctx = chart.ctx;
+    const pixel = (point) => ({ x: chart.scales.x.getPixelForValue(point.x), y: chart.scales.y.getPixelForValue(point.y) });
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, right - left, bottom - top);
+    ctx.clip();
+    items.forEach(item => {
+      ctx.strokeStyle = item.color;
+      ctx.fillStyle = item.color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([]);
+      if (item.kind === 'trendline') {
+        const [start, end] = item.points.map(pixel);
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+        [start, end].forEach(point => ctx.fillRect(point.x - 3, point.y - 3, 6, 6));
+        if (item.text) {
+          drawLabel(ctx, item.text, end.x + 6, end.y, item.color);
+        }
+      } else if (item.kind === 'level') {
+        const { y } = pixel(item.points[0]);
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(right, y);
+        ctx.stroke();
+        if (item.text) {
+          drawLabel(ctx, item.text, left + 4, y - 2, item.color);
+        }
+      } else {
+        const point = pixel(item.points[0]);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        if (item.text) {
+          drawLabel(ctx, item.text, point.x + 6, point.y - 4, item.color);
+        }
+      }
+    });
+    ctx.restore();
+  }
+};
@@ -0,0 +1,44 @@
+// client/src/utils/annotations.test.js
+
+import { dateIndex, displayFactorAt, fromChartValue, toChartValue } from './annotations';
+
+const bar = (date, close) => ({ date, close });
+
+test('displayFactorAt is the shown to traded ratio on the latest bar at or before the date', () => {
+  const raw = [bar('2024-01-02', 100), bar('2024-01-03', 100), bar('2024-01-04', 50)];
+  // A 2:1 split on the 4th, shown adjusted
+  const shown = [bar('2024-01-02', 50), bar('2024-01-03', 50), bar('2024-01-04', 50)];
+  expect(displayFactorAt(raw, shown, '2024-01-03')).toBe(0.5);
+  expect(displayFactorAt(raw, shown, '2024-01-05')).toBe(1);
+  // Before the first bar, the first bar's ratio
+  expect(displayFactorAt(raw, shown, '2024-01-01')).toBe(0.5);
+});
+
+test('displayFactorAt follows converted bars, which may start later than the raw ones', () => {
+  const raw = [bar('2024-01-02', 10), bar('2024-01-03', 10)];
+  const shown = [bar('2024-01-03', 12.5)];
+  expect(displayFactorAt(raw, shown, '2024-01-02')).toBe(1.25);
+});
+
+test('displayFactorAt is null with nothing charted or no traded close to compare', () => {
+  expect(displayFactorAt([bar('2024-01-02', 10)], [], '2024-01-02')).toBeNull();
+  expect(displayFactorAt([], [bar('2024-01-02', 10)], '2024-01-02')).toBeNull();
+  expect(displayFactorAt([bar('2024-01-02', 0)], [bar('2024-01-02', 10)], '2024-01-02')).toBeNull();
+});
+
+test('toChartValue and fromChartValue map a traded price to the axis and back', () => {
+  expect(toChartValue(100, 0.5, null)).toBe(50);
+  expect(fromChartValue(50, 0.5, null)).toBe(100);
+  // In percent mode, measured from a shown close of 40
+  expect(toChartValue(100, 0.5, 40)).toBe(25);
+  expect(fromChartValue(25, 0.5, 40)).toBe(100);
+});
+
+test('dateIndex places a date on its own label or the next one', () => {
+  const dates = ['2024-01-05', '2024-01-12', '2024-01-19'];
+  expect(dateIndex(dates, '2024-01-12')).toBe(1);
+  expect(dateIndex(dates, '2024-01-10')).toBe(1);
+  expect(dateIndex(dates, '2024-01-01')).toBeNull();
+  expect(dateIndex(dates, '2024-01-20')).toBeNull();
+  expect(dateIndex([], '2024-01-12')).toBeNull();
+});
@@ -0,0 +1,45 @@
+// client/src/utils/crosshair.js
+
+// Draws a vertical line at the label index stored on the chart as
+// `$crosshairIndex`, so several charts sharing an x-axis can show the same hover position.
+export const crosshairPlugin = {
+  id: 'crosshair',
+  afterDatasetsDraw(chart) {
+    const index = chart.$crosshairIndex;
+    if (index === null || index === undefined) {
+      return;
+    }
+    const x = chart.scales.x.getPixelForValue(index);
+    const { top, bottom } = chart.chartArea;
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, bottom);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(0,0,0,0.35)';
+    ctx.setLineDash([4, 4]);
+    ctx.stroke();
+    ctx.restore();
+  }
+};
+
+// Builds an `onHover` handler that moves the crosshair on every chart in `chartRefs`
+export const syncCrosshair = (chartRefs) => (event, activeElements, chart) => {
+  const { left, right } = chart.chartArea;
+  const inside = event.type !== 'mouseout' && event.x >= left && event.x <= right;
+  const index = inside ? Math.round(chart.scales.x.getValueForPixel(event.x)) : null;
+  chartRefs.forEach(ref => {
+    const target = ref.current;
+    if (target && target.$crosshairIndex !== index) {
+      target.$crosshairIndex = index;
+      target.draw();
+    }
+  });
+};
+
+// Fixed y-axis width, so stacked charts put the same date at the same x pixel
+export const Y_AXIS_WIDTH = 70;
+export const fixYAxisWidth = (scale) => {
+  scale.width = Y_AXIS_WIDTH;
+};
@@ -0,0 +1,40 @@
+// client/src/utils/currency.js
+
+import { fx } from 'stock-chart-shared';
+
+// Currencies offered as the chart's base currency
+export const BASE_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'HKD', 'CNY', 'INR'];
+
+// Formatting in the browser's locale, `compact` for axis ticks (€1.2K); one formatter
+// per currency and style, as they are slow to create
+const formatters = new Map();
+export const formatMoney = (value, currency, { compact = false } = {}) => {
+  const key = `${currency}:${compact}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(undefined, { style: 'currency', currency, ...(compact ? { notation: 'compact' } : {}) }));
+  }
+  return formatters.get(key).format(value);
+};
+
+/**
+ * A stock ({ symbol, currency, data, ... }) with its prices converted to
+ * `baseCurrency` at each bar's date. Converted bars keep their native close as
+ * `native: { close, currency }`; bars older than the loaded rates are left out.
+ * Stocks already in the base currency come back as they are, and so do stocks
+ * whose rates are still loading (or failed to), marked `unconverted: true` and
+ * still in their own currency.
+ * @param {object} stock
+ * @param {string} baseCurrency
+ * @param {Object<string, Array<{ date: string, rate: number }>>} usdRates Rates in US dollars per unit, by currency
+ */
+export const convertStock = (stock, baseCurrency, usdRates) => {
+  const currency = stock.currency || 'USD';
+  if (currency === baseCurrency) {
+    return stock;
+  }
+  if ([currency, baseCurrency].some(needed => needed !== fx.PIVOT_CURRENCY && !usdRates[needed])) {
+    return { ...stock, currency, unconverted: true };
+  }
+  const data = fx.convertBars(stock.data, fx.conversionRate(usdRates, currency, baseCurrency), currency);
+  return { ...stock, currency: baseCurrency, nativeCurrency: currency, data };
+};
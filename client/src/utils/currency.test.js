@@ -0,0 +1,36 @@
+// client/src/utils/currency.test.js
+
+import { convertStock } from './currency';
+
+const EUR = [{ date: '2024-01-03', rate: 1.25 }];
+
+const stock = (currency, data) => ({ symbol: 'SAP', currency, data });
+const bar = (date, close) => ({ date, open: close, high: close * 2, low: close / 2, close, volume: 100 });
+
+test('convertStock converts each bar at its date\'s rate and keeps the traded close', () => {
+  const converted = convertStock(stock('EUR', [bar('2024-01-03', 10), bar('2024-01-04', 20)]), 'USD', { EUR });
+  expect(converted.currency).toBe('USD');
+  expect(converted.nativeCurrency).toBe('EUR');
+  expect(converted.data).toEqual([
+    { date: '2024-01-03', open: 12.5, high: 25, low: 6.25, close: 12.5, volume: 100, native: { close: 10, currency: 'EUR' } },
+    // No rate on the 4th yet: the 3rd's still applies
+    { date: '2024-01-04', open: 25, high: 50, low: 12.5, close: 25, volume: 100, native: { close: 20, currency: 'EUR' } }
+  ]);
+});
+
+test('convertStock leaves out bars older than the first rate', () => {
+  const converted = convertStock(stock('EUR', [bar('2024-01-02', 10), bar('2024-01-03', 10)]), 'USD', { EUR });
+  expect(converted.data.map(b => b.date)).toEqual(['2024-01-03']);
+});
+
+test('convertStock returns stocks already in the base currency as they are', () => {
+  const usd = { symbol: 'AAPL', data: [bar('2024-01-03', 10)] };
+  expect(convertStock(usd, 'USD', {})).toBe(usd);
+});
+
+test('convertStock keeps the prices as traded, marked, while rates are missing', () => {
+  const sap = stock('EUR', [bar('2024-01-03', 10)]);
+  expect(convertStock(sap, 'USD', {})).toEqual({ ...sap, unconverted: true });
+  // The base currency's rates are needed too
+  expect(convertStock(sap, 'GBP', { EUR })).toEqual({ ...sap, unconverted: true });
+});
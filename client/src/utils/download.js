@@ -0,0 +1,27 @@
+// client/src/utils/download.js
+
+// Save a Blob under `filename` through a temporary link
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// A Chart.js chart as a PNG Blob. The canvas is transparent outside what
+// Chart.js draws, so it is composited onto white; title and legend are part of the canvas.
+export const chartToPngBlob = (chart) => new Promise((resolve) => {
+  const source = chart.canvas;
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(source, 0, 0);
+  canvas.toBlob(resolve, 'image/png');
+});
@@ -0,0 +1,59 @@
+// client/src/utils/eventMarkers.js
+
+import { formatMoney } from './currency';
+
+const MARKER_RADIUS = 6;
+
+// Up to 4 decimals, without trailing zeros
+const trimNumber = (value) => String(Number(value.toFixed(4)));
+
+// 4 -> '4-for-1', 0.5 -> '1-for-2' (a reverse split)
+const splitRatio = (coefficient) => (
+  coefficient >= 1 ? `${trimNumber(coefficient)}-for-1` : `1-for-${trimNumber(1 / coefficient)}`
+);
+
+// The splits and dividends going ex on a bar, as [{ kind: 'split' | 'dividend', label }],
+// with dividends in `currency`
+export const barEvents = (bar, currency = 'USD') => {
+  const events = [];
+  if (bar.splitCoefficient && bar.splitCoefficient !== 1) {
+    events.push({ kind: 'split', label: `Split: ${splitRatio(bar.splitCoefficient)}` });
+  }
+  if (bar.dividend > 0) {
+    events.push({ kind: 'dividend', label: `Dividend: ${formatMoney(bar.dividend, currency)} per share` });
+  }
+  return events;
+};
+
+// Draws a lettered dot (S for a split, D for a dividend) along the bottom of the
+// chart for each of `options.plugins.eventMarkers.markers` ([{ index, kind, color }],
+// index being the label index). Events on the same date stack upwards.
+export const eventMarkersPlugin = {
+  id: 'eventMarkers',
+  afterDatasetsDraw(chart, args, pluginOptions) {
+    const markers = (pluginOptions && pluginOptions.markers) || [];
+    const { left, right, bottom } = chart.chartArea;
+    const ctx = chart.ctx;
+    const stacked = new Map();
+    markers.forEach(marker => {
+      const x = chart.scales.x.getPixelForValue(marker.index);
+      if (x < left || x > right) { // Outside the zoomed window
+        return;
+      }
+      const level = stacked.get(marker.index) || 0;
+      stacked.set(marker.index, level + 1);
+      const y = bottom - MARKER_RADIUS - 2 - level * (MARKER_RADIUS * 2 + 2);
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(x, y, MARKER_RADIUS, 0, Math.PI * 2);
+      ctx.fillStyle = marker.color;
+      ctx.fill();
+      ctx.fillStyle = 'white';
+      ctx.font = 'bold 9px Arial, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(marker.kind === 'split' ? 'S' : 'D', x, y);
+      ctx.restore();
+    });
+  }
+};
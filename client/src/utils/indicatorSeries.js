@@ -0,0 +1,66 @@
+// client/src/utils/indicatorSeries.js
+
+import { indicators } from 'stock-chart-shared';
+
+const { bollingerBands, closes, ema, macd, rsi, sma, vwap } = indicators;
+
+export const DEFAULT_INDICATOR_SETTINGS = {
+  sma: { enabled: false, period: 20 },
+  ema: { enabled: false, period: 50 },
+  bollinger: { enabled: false, period: 20, multiplier: 2 },
+  vwap: { enabled: false },
+  rsi: { enabled: false, period: 14 },
+  macd: { enabled: false, fast: 12, slow: 26, signal: 9 }
+};
+
+// Indicators are computed on the symbol's own bars, then placed on the chart's shared dates
+const alignTo = (bars, values, dates) => {
+  const byDate = new Map(bars.map((bar, i) => [bar.date, values[i]]));
+  return dates.map(date => (byDate.has(date) ? byDate.get(date) : null));
+};
+
+// Price overlays for the main chart: [{ key, label, values, color, dash }], values parallel to `dates`
+export const overlaySeries = (bars, dates, settings) => {
+  const values = closes(bars);
+  const series = [];
+  if (settings.sma.enabled) {
+    series.push({ key: 'sma', label: `SMA(${settings.sma.period})`, values: alignTo(bars, sma(values, settings.sma.period), dates), color: 'rgb(255, 140, 0)' });
+  }
+  if (settings.ema.enabled) {
+    series.push({ key: 'ema', label: `EMA(${settings.ema.period})`, values: alignTo(bars, ema(values, settings.ema.period), dates), color: 'rgb(138, 43, 226)' });
+  }
+  if (settings.bollinger.enabled) {
+    const { period, multiplier } = settings.bollinger;
+    const bands = bollingerBands(values, period, multiplier);
+    const label = `BB(${period}, ${multiplier})`;
+    series.push({ key: 'bbUpper', label: `${label} Upper`, values: alignTo(bars, bands.upper, dates), color: 'rgb(100, 100, 100)', dash: [4, 4] });
+    series.push({ key: 'bbMiddle', label: `${label} Middle`, values: alignTo(bars, bands.middle, dates), color: 'rgb(100, 100, 100)' });
+    series.push({ key: 'bbLower', label: `${label} Lower`, values: alignTo(bars, bands.lower, dates), color: 'rgb(100, 100, 100)', dash: [4, 4] });
+  }
+  if (settings.vwap.enabled) {
+    series.push({ key: 'vwap', label: 'VWAP', values: alignTo(bars, vwap(bars), dates), color: 'rgb(0, 128, 128)', dash: [2, 2] });
+  }
+  return series;
+};
+
+// Lower-panel oscillators, each null when switched off; values parallel to `dates`
+export const oscillatorSeries = (bars, dates, settings) => {
+  const values = closes(bars);
+  let macdSeries = null;
+  if (settings.macd.enabled) {
+    const { fast, slow, signal } = settings.macd;
+    const result = macd(values, fast, slow, signal);
+    macdSeries = {
+      label: `MACD(${fast}, ${slow}, ${signal})`,
+      macd: alignTo(bars, result.macd, dates),
+      signal: alignTo(bars, result.signal, dates),
+      histogram: alignTo(bars, result.histogram, dates)
+    };
+  }
+  return {
+    rsi: settings.rsi.enabled
+      ? { label: `RSI(${settings.rsi.period})`, values: alignTo(bars, rsi(values, settings.rsi.period), dates) }
+      : null,
+    macd: macdSeries
+  };
+};
@@ -0,0 +1,31 @@
+// client/src/utils/series.js
+
+// Merge incoming bars into a stock's series: same date replaces, new dates append
+export const mergeBars = (existingBars, newBars) => {
+  const byDate = new Map(existingBars.map(bar => [bar.date, bar]));
+  newBars.forEach(bar => byDate.set(bar.date, bar));
+  return Array.from(byDate.values()).sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+// Put every stock's bars on one shared date axis: the sorted union of all their
+// dates. Each stock gets an array parallel to `dates` holding its bar for that
+// date, or null where it has none (before listing, missed days, other exchange holidays).
+export const alignSeries = (stocks) => {
+  const dates = Array.from(new Set(stocks.flatMap(stock => stock.data.map(bar => bar.date))))
+    .sort((a, b) => new Date(a) - new Date(b));
+  const series = stocks.map(stock => {
+    const byDate = new Map(stock.data.map(bar => [bar.date, bar]));
+    return dates.map(date => byDate.get(date) || null);
+  });
+  return { dates, series };
+};
+
+// Rebase one aligned series (bars or nulls) to percent change from its first
+// bar at or after `fromIndex` (the start of a zoomed window), so symbols at very
+// different prices can share an axis.
+// Returns the base bar and the percent values (null where there is no bar).
+export const toPercentChange = (alignedBars, fromIndex = 0) => {
+  const base = alignedBars.slice(fromIndex).find(bar => bar !== null) || null;
+  const values = alignedBars.map(bar => (bar && base ? ((bar.close - base.close) / base.close) * 100 : null));
+  return { base, values };
+};
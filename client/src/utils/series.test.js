@@ -0,0 +1,37 @@
+// client/src/utils/series.test.js
+
+import { alignSeries, mergeBars, toPercentChange } from './series';
+
+const bar = (date, close) => ({ date, open: close, high: close, low: close, close, volume: 100 });
+
+test('mergeBars replaces bars on the same date and appends new ones in date order', () => {
+  const merged = mergeBars([bar('2024-01-02', 10), bar('2024-01-03', 11)], [bar('2024-01-04', 13), bar('2024-01-03', 12)]);
+  expect(merged.map(b => [b.date, b.close])).toEqual([['2024-01-02', 10], ['2024-01-03', 12], ['2024-01-04', 13]]);
+});
+
+test('alignSeries puts every stock on the union of dates, null where it has no bar', () => {
+  const { dates, series } = alignSeries([
+    { symbol: 'AAPL', data: [bar('2024-01-02', 10), bar('2024-01-04', 12)] },
+    { symbol: 'SAP', data: [bar('2024-01-03', 20), bar('2024-01-04', 21)] }
+  ]);
+  expect(dates).toEqual(['2024-01-02', '2024-01-03', '2024-01-04']);
+  expect(series.map(bars => bars.map(b => (b ? b.close : null)))).toEqual([[10, null, 12], [null, 20, 21]]);
+});
+
+test('alignSeries of no stocks is an empty axis', () => {
+  expect(alignSeries([])).toEqual({ dates: [], series: [] });
+});
+
+test('toPercentChange measures from the first bar at or after the window start', () => {
+  const aligned = [null, bar('2024-01-03', 10), bar('2024-01-04', 12), bar('2024-01-05', 15)];
+  expect(toPercentChange(aligned)).toEqual({ base: aligned[1], values: [null, 0, 20, 50] });
+  // Zoomed in from the third date
+  const zoomed = toPercentChange(aligned, 2);
+  expect(zoomed.base).toBe(aligned[2]);
+  expect(zoomed.values[1]).toBeCloseTo(-16.667, 3);
+  expect(zoomed.values[3]).toBe(25);
+});
+
+test('toPercentChange has no values without a base bar', () => {
+  expect(toPercentChange([bar('2024-01-02', 10), null], 1)).toEqual({ base: null, values: [null, null] });
+});
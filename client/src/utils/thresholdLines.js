@@ -0,0 +1,41 @@
+// client/src/utils/thresholdLines.js
+
+// Draws dashed horizontal lines across the chart at the prices in
+// `options.plugins.thresholdLines.lines` ([{ value, label, color }]), e.g. alert thresholds.
+export const thresholdLinesPlugin = {
+  id: 'thresholdLines',
+  afterDatasetsDraw(chart, args, pluginOptions) {
+    const lines = (pluginOptions && pluginOptions.lines) || [];
+    const { left, right, top, bottom } = chart.chartArea;
+    const ctx = chart.ctx;
+    lines.forEach(line => {
+      const y = chart.scales.y.getPixelForValue(line.value);
+      if (y < top || y > bottom) {
+        return;
+      }
+      ctx.save();
+      ctx.beginPath();
+      ctx.moveTo(left, y);
+      ctx.lineTo(right, y);
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = line.color;
+      ctx.setLineDash([6, 4]);
+      ctx.stroke();
+      ctx.fillStyle = line.color;
+      ctx.font = '11px Arial, sans-serif';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(line.label, right - 4, y - 2);
+      ctx.restore();
+    });
+  }
+};
+
+// A y-scale `afterDataLimits` hook that stretches the axis to include every line,
+// so a threshold far from the current price is still visible
+export const includeThresholdLines = (lines) => (scale) => {
+  lines.forEach(line => {
+    scale.min = Math.min(scale.min, line.value);
+    scale.max = Math.max(scale.max, line.value);
+  });
+};
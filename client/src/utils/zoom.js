@@ -0,0 +1,37 @@
+// client/src/utils/zoom.js
+
+// The zoomed window is kept as its first and last dates ({ start, end }), not
+// label indexes, so it stays on the same bars when a symbol added or removed
+// changes the chart's date axis. null means the whole range is shown.
+
+// The fewest bars a zoomed window may cover
+export const MIN_ZOOM_BARS = 5;
+
+// The window's label indexes on `dates` ({ min, max }), or null for the whole range
+// (also when none of the window's dates are loaded any more)
+export const windowIndexes = (dates, zoomWindow) => {
+  if (!zoomWindow || dates.length === 0) {
+    return null;
+  }
+  const min = dates.findIndex(date => date >= zoomWindow.start);
+  let max = dates.length - 1;
+  while (max >= 0 && dates[max] > zoomWindow.end) {
+    max -= 1;
+  }
+  return min === -1 || max < min ? null : { min, max };
+};
+
+// The window covering label indexes min..max, or null when that is every date
+export const windowFromIndexes = (dates, min, max) => {
+  const first = Math.max(0, Math.round(min));
+  const last = Math.min(dates.length - 1, Math.round(max));
+  if (first <= 0 && last >= dates.length - 1) {
+    return null;
+  }
+  return { start: dates[first], end: dates[last] };
+};
+
+// Whether a bar's date falls inside the window
+export const inWindow = (zoomWindow, date) => (
+  !zoomWindow || (date >= zoomWindow.start && date <= zoomWindow.end)
+);
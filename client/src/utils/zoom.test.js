@@ -0,0 +1,40 @@
+// client/src/utils/zoom.test.js
+
+import { inWindow, windowFromIndexes, windowIndexes } from './zoom';
+
+const dates = ['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-08'];
+
+test('windowIndexes finds the label indexes a window covers', () => {
+  expect(windowIndexes(dates, { start: '2024-01-03', end: '2024-01-05' })).toEqual({ min: 1, max: 3 });
+  // Dates no longer loaded narrow it to the ones that are
+  expect(windowIndexes(dates, { start: '2024-01-01', end: '2024-01-06' })).toEqual({ min: 0, max: 3 });
+});
+
+test('windowIndexes is null for the whole range and for windows off the loaded dates', () => {
+  expect(windowIndexes(dates, null)).toBeNull();
+  expect(windowIndexes([], { start: '2024-01-03', end: '2024-01-05' })).toBeNull();
+  expect(windowIndexes(dates, { start: '2024-02-01', end: '2024-02-05' })).toBeNull();
+  expect(windowIndexes(dates, { start: '2024-01-06', end: '2024-01-07' })).toBeNull();
+});
+
+test('windowFromIndexes rounds the indexes to dates, clamped to the range', () => {
+  expect(windowFromIndexes(dates, 0.6, 2.4)).toEqual({ start: '2024-01-03', end: '2024-01-04' });
+  expect(windowFromIndexes(dates, -3, 2)).toEqual({ start: '2024-01-02', end: '2024-01-04' });
+});
+
+test('windowFromIndexes is null when the window covers every date', () => {
+  expect(windowFromIndexes(dates, 0, 4)).toBeNull();
+  expect(windowFromIndexes(dates, -1, 10)).toBeNull();
+});
+
+test('windowIndexes and windowFromIndexes round-trip', () => {
+  const window = windowFromIndexes(dates, 1, 3);
+  expect(windowIndexes(dates, window)).toEqual({ min: 1, max: 3 });
+});
+
+test('inWindow takes the window\'s ends as inside', () => {
+  const window = { start: '2024-01-03', end: '2024-01-05' };
+  expect(['2024-01-02', '2024-01-03', '2024-01-05', '2024-01-08'].map(date => inWindow(window, date)))
+    .toEqual([false, true, true, false]);
+  expect(inWindow(null, '1990-01-01')).toBe(true);
+});
@@ -0,0 +1,71 @@
+// server/activity.js
+
+const mongoose = require('mongoose');
+const Activity = require('./models/Activity');
+
+// How many entries a client gets when it joins a list
+const HISTORY_LENGTH = 50;
+// How long a change can be undone for
+const UNDO_WINDOW_MS = 60 * 60 * 1000;
+
+// The shape clients see. `undoableUntil` is when the undo window closes; undone
+// changes carry who undid them.
+const toActivity = (entry, slug) => ({
+    id: entry._id.toString(),
+    slug,
+    action: entry.action,
+    symbol: entry.symbol,
+    version: entry.version,
+    actor: { id: entry.actor.toString(), username: entry.actorName },
+    undoOf: entry.undoOf ? entry.undoOf.toString() : null,
+    undone: entry.undoneAt ? { at: entry.undoneAt, by: entry.undoneBy } : null,
+    undoableUntil: new Date(entry.createdAt.getTime() + UNDO_WINDOW_MS),
+    createdAt: entry.createdAt
+});
+
+// Log a change to `watchlist` by `user` ({ id, username }). `undoOf` is the entry it undid, if any.
+// Resolves to the entry as clients see it.
+const recordActivity = async (watchlist, { action, symbol, version, user, undoOf = null }) => {
+    const entry = await Activity.create({
+        watchlist: watchlist._id,
+        action,
+        symbol,
+        version,
+        actor: user.id,
+        actorName: user.username,
+        undoOf
+    });
+    return toActivity(entry.toObject(), watchlist.slug);
+};
+
+// The list's latest changes, newest first
+const listActivity = async (watchlist) => {
+    const entries = await Activity.find({ watchlist: watchlist._id }).sort({ createdAt: -1 }).limit(HISTORY_LENGTH).lean();
+    return entries.map(entry => toActivity(entry, watchlist.slug));
+};
+
+// The entry `id` on `watchlist` as stored, or null
+const findActivity = (watchlist, id) => (
+    mongoose.isValidObjectId(id) ? Activity.findOne({ _id: id, watchlist: watchlist._id }).lean() : null
+);
+
+// Mark an entry undone by `username` unless it already is, so two undos can't both
+// run. Resolves to the updated entry, or null when someone got there first.
+const claimUndo = (id, username) => Activity.findOneAndUpdate(
+    { _id: id, undoneAt: null },
+    { undoneAt: new Date(), undoneBy: username },
+    { new: true }
+).lean();
+
+// Give a claimed entry back after its undo failed
+const releaseUndo = (id) => Activity.updateOne({ _id: id }, { undoneAt: null, undoneBy: null });
+
+module.exports = {
+    UNDO_WINDOW_MS,
+    claimUndo,
+    findActivity,
+    listActivity,
+    recordActivity,
+    releaseUndo,
+    toActivity
+};
@@ -0,0 +1,134 @@
+// server/alerts.js
+
+const Alert = require('./models/Alert');
+const { userRoom } = require('./auth');
+const { onDailyBars } = require('./priceCache');
+const { isValidSymbol } = require('./symbols');
+
+const ALERT_CONDITIONS = ['above', 'below', 'change'];
+
+// The shape clients see
+const toAlert = (alert) => ({
+    id: alert._id.toString(),
+    symbol: alert.symbol,
+    condition: alert.condition,
+    threshold: alert.threshold,
+    snoozedUntil: alert.snoozedUntil,
+    lastTriggeredAt: alert.lastTriggeredAt,
+    createdAt: alert.createdAt
+});
+
+const describeAlert = (alert) => (alert.condition === 'change'
+    ? `${alert.symbol} moves ${alert.threshold}% in a day`
+    : `${alert.symbol} closes ${alert.condition} ${alert.threshold}`);
+
+const listAlerts = async (userId) => {
+    const alerts = await Alert.find({ owner: userId }).sort({ createdAt: 1 }).lean();
+    return alerts.map(toAlert);
+};
+
+// Resolves to { alert } or { error } for bad input
+const createAlert = async (userId, { symbol, condition, threshold }) => {
+    const normalizedSymbol = String(symbol || '').trim().toUpperCase();
+    const value = Number(threshold);
+    if (!isValidSymbol(normalizedSymbol)) {
+        return { error: `"${normalizedSymbol}" is not a valid stock symbol.` };
+    }
+    if (!ALERT_CONDITIONS.includes(condition)) {
+        return { error: `Unknown alert condition: ${condition}` };
+    }
+    if (!Number.isFinite(value) || value <= 0) {
+        return { error: 'The alert threshold must be a positive number.' };
+    }
+    const alert = await Alert.create({ owner: userId, symbol: normalizedSymbol, condition, threshold: value });
+    return { alert: toAlert(alert) };
+};
+
+// Every symbol someone has an alert on, so the price poller keeps them fresh even
+// when they are on no watchlist. Snoozed alerts count: they wake up again.
+const alertSymbols = () => Alert.distinct('symbol');
+
+// Resolves to whether the user had such an alert
+const deleteAlert = async (alertId, userId) => {
+    const result = await Alert.deleteOne({ _id: alertId, owner: userId });
+    return result.deletedCount > 0;
+};
+
+// Silence an alert for `minutes` (0 wakes it up again). Resolves to whether the user had such an alert.
+const snoozeAlert = async (alertId, userId, minutes) => {
+    const snoozedUntil = minutes > 0 ? new Date(Date.now() + minutes * 60 * 1000) : null;
+    const result = await Alert.updateOne({ _id: alertId, owner: userId }, { $set: { snoozedUntil } });
+    return result.matchedCount > 0;
+};
+
+// Whether the latest bar (against the one before it, for 'change') meets the alert's condition
+const isTriggered = (alert, latest, previous) => {
+    if (alert.condition === 'above') {
+        return latest.close > alert.threshold;
+    }
+    if (alert.condition === 'below') {
+        return latest.close < alert.threshold;
+    }
+    if (!previous) {
+        return false;
+    }
+    return Math.abs((latest.close - previous.close) / previous.close) * 100 >= alert.threshold;
+};
+
+// Check a symbol's alerts against its daily bars (oldest first). Resolves to the
+// alerts that fired, each marked as fired for the latest bar's date.
+const evaluateAlerts = async (symbol, bars, now = new Date()) => {
+    const latest = bars[bars.length - 1];
+    if (!latest) {
+        return [];
+    }
+    const previous = bars[bars.length - 2];
+    const candidates = await Alert.find({
+        symbol,
+        lastTriggeredDate: { $ne: latest.date },
+        $or: [{ snoozedUntil: null }, { snoozedUntil: { $lte: now } }]
+    }).lean();
+
+    const triggered = [];
+    for (const alert of candidates.filter(candidate => isTriggered(candidate, latest, previous))) {
+        // Conditional on the date, so two evaluations racing each other fire it once
+        const result = await Alert.updateOne(
+            { _id: alert._id, lastTriggeredDate: { $ne: latest.date } },
+            { $set: { lastTriggeredDate: latest.date, lastTriggeredAt: now } }
+        );
+        if (result.modifiedCount > 0) {
+            triggered.push({ ...alert, lastTriggeredAt: now });
+        }
+    }
+    return triggered;
+};
+
+/**
+ * Evaluates alerts whenever a symbol's daily bars change, and sends each one
+ * that fires to its owner's sockets as `alertTriggered`.
+ * @param {import('socket.io').Server} io
+ */
+const startAlertEvaluator = (io) => {
+    onDailyBars(async (symbol, bars) => {
+        const triggered = await evaluateAlerts(symbol, bars);
+        const latest = bars[bars.length - 1];
+        triggered.forEach(alert => {
+            console.log(`Alert triggered for ${alert.owner}: ${describeAlert(alert)} (close ${latest.close})`);
+            io.to(userRoom(alert.owner.toString())).emit('alertTriggered', {
+                alert: toAlert(alert),
+                message: describeAlert(alert),
+                bar: latest
+            });
+        });
+    });
+};
+
+module.exports = {
+    alertSymbols,
+    createAlert,
+    deleteAlert,
+    evaluateAlerts,
+    listAlerts,
+    snoozeAlert,
+    startAlertEvaluator
+};
@@ -0,0 +1,143 @@
+// server/annotations.js
+
+const mongoose = require('mongoose');
+const Annotation = require('./models/Annotation');
+const { ACTION_ERRORS } = require('./stockActions');
+const { canEdit, findWatchlist, roomFor } = require('./watchlists');
+
+// How many points each kind of annotation is drawn with
+const ANNOTATION_POINTS = { trendline: 2, level: 1, note: 1 };
+const MAX_TEXT_LENGTH = 500;
+// Daily bars' dates, or intraday bars' timestamps
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2})?$/;
+
+const actionError = (error, message) => ({ error, message });
+
+// The shape clients see
+const toAnnotation = (annotation, slug) => ({
+    id: annotation._id.toString(),
+    slug,
+    symbol: annotation.symbol,
+    kind: annotation.kind,
+    points: annotation.points.map(({ date, price }) => ({ date, price })),
+    text: annotation.text,
+    author: { id: annotation.author.toString(), username: annotation.authorName },
+    createdAt: annotation.createdAt,
+    updatedAt: annotation.updatedAt
+});
+
+// Validated { points, text } for a `kind` of annotation, or an action error
+const checkContent = (kind, { points, text }) => {
+    if (!Array.isArray(points) || points.length !== ANNOTATION_POINTS[kind]) {
+        return actionError(ACTION_ERRORS.INVALID_INPUT, `A ${kind} is drawn with ${ANNOTATION_POINTS[kind]} point(s).`);
+    }
+    const normalized = points.map(point => ({ date: String((point && point.date) || ''), price: Number(point && point.price) }));
+    if (normalized.some(point => !DATE_PATTERN.test(point.date) || !Number.isFinite(point.price) || point.price <= 0)) {
+        return actionError(ACTION_ERRORS.INVALID_INPUT, 'Each point needs a bar date and a positive price.');
+    }
+    const trimmed = String(text || '').trim();
+    if (kind === 'note' && !trimmed) {
+        return actionError(ACTION_ERRORS.INVALID_INPUT, 'A note needs some text.');
+    }
+    if (trimmed.length > MAX_TEXT_LENGTH) {
+        return actionError(ACTION_ERRORS.INVALID_INPUT, `Annotation text is limited to ${MAX_TEXT_LENGTH} characters.`);
+    }
+    return { points: normalized, text: trimmed };
+};
+
+// Every annotation on a watchlist's symbols, oldest first
+const listAnnotations = async (watchlist) => {
+    const annotations = await Annotation.find({ watchlist: watchlist._id }).sort({ createdAt: 1 }).lean();
+    return annotations.map(annotation => toAnnotation(annotation, watchlist.slug));
+};
+
+// Annotation changes shared by everyone viewing a watchlist. Like the stock actions,
+// each one reaches the list's room itself (annotationSaved with the annotation,
+// annotationDeleted with { slug, id }) and resolves to { success: true, data } or
+// { error, message }. `user` is the session user ({ id, username }).
+const createAnnotationActions = (io) => {
+    // { annotation } for the annotation `id` on the list if `user` wrote it, or { result } with an action error
+    const findOwnAnnotation = async (slug, id, user) => {
+        const watchlist = await findWatchlist(slug);
+        const annotation = watchlist && mongoose.isValidObjectId(id)
+            ? await Annotation.findOne({ _id: id, watchlist: watchlist._id }).lean()
+            : null;
+        if (!annotation) {
+            return { result: actionError(ACTION_ERRORS.NOT_FOUND, 'That annotation no longer exists.') };
+        }
+        if (annotation.author.toString() !== user.id) {
+            return { result: actionError(ACTION_ERRORS.FORBIDDEN, 'Only its author can change this annotation.') };
+        }
+        return { annotation };
+    };
+
+    // { symbol, kind, points: [{ date, price }], text } on one of the list's symbols; owners and editors only
+    const createAnnotation = async ({ slug, user, symbol, kind, points, text }) => {
+        const watchlist = await findWatchlist(slug);
+        if (!watchlist) {
+            return actionError(ACTION_ERRORS.NOT_FOUND, 'This watchlist no longer exists.');
+        }
+        if (!canEdit(watchlist, user.id)) {
+            return actionError(ACTION_ERRORS.FORBIDDEN, `You can't annotate "${watchlist.name}".`);
+        }
+        const normalizedSymbol = String(symbol || '').trim().toUpperCase();
+        if (!watchlist.symbols.includes(normalizedSymbol)) {
+            return actionError(ACTION_ERRORS.INVALID_INPUT, `${normalizedSymbol || 'That symbol'} is not on this watchlist.`);
+        }
+        if (!ANNOTATION_POINTS[kind]) {
+            return actionError(ACTION_ERRORS.INVALID_INPUT, `Unknown annotation kind: ${kind}`);
+        }
+        const content = checkContent(kind, { points, text });
+        if (content.error) {
+            return content;
+        }
+        const annotation = await Annotation.create({
+            watchlist: watchlist._id,
+            symbol: normalizedSymbol,
+            kind,
+            ...content,
+            author: user.id,
+            authorName: user.username
+        });
+        const data = toAnnotation(annotation, slug);
+        io.to(roomFor(slug)).emit('annotationSaved', data);
+        return { success: true, data };
+    };
+
+    // { id, points, text }: either may be left out to keep it; the author only
+    const updateAnnotation = async ({ slug, user, id, points, text }) => {
+        const { result, annotation } = await findOwnAnnotation(slug, id, user);
+        if (result) {
+            return result;
+        }
+        const content = checkContent(annotation.kind, {
+            points: points === undefined ? annotation.points : points,
+            text: text === undefined ? annotation.text : text
+        });
+        if (content.error) {
+            return content;
+        }
+        const updated = await Annotation.findByIdAndUpdate(annotation._id, { $set: content }, { new: true, lean: true });
+        const data = toAnnotation(updated, slug);
+        io.to(roomFor(slug)).emit('annotationSaved', data);
+        return { success: true, data };
+    };
+
+    // The author only
+    const deleteAnnotation = async ({ slug, user, id }) => {
+        const { result, annotation } = await findOwnAnnotation(slug, id, user);
+        if (result) {
+            return result;
+        }
+        await Annotation.deleteOne({ _id: annotation._id });
+        io.to(roomFor(slug)).emit('annotationDeleted', { slug, id });
+        return { success: true, data: { id } };
+    };
+
+    return { createAnnotation, deleteAnnotation, updateAnnotation };
+};
+
+module.exports = {
+    createAnnotationActions,
+    listAnnotations
+};
@@ -0,0 +1,252 @@
+// server/api.js
+
+const { once } = require('events');
+const express = require('express');
+const {
+    bars: { adjustBar },
+    csv: { alignByDate, csvHeader, csvRow },
+    fx: { conversionRate, convertBars }
+} = require('stock-chart-shared');
+const { authenticateRequest, userRoom } = require('./auth');
+const { DEFAULT_RANGE_KEY } = require('./ranges');
+const {
+    coveredByProvider,
+    deleteCustomSeries,
+    findCustomSeries,
+    listCustomSeries,
+    parseBarsCsv,
+    saveCustomSeries
+} = require('./customSeries');
+const { getUsdRates, isValidCurrency } = require('./fxRates');
+const { ACTION_ERRORS } = require('./stockActions');
+const { isValidSymbol, searchSymbols } = require('./symbols');
+const { findWatchlist, listWatchlists, roleFor, roomsWithSymbol } = require('./watchlists');
+
+// HTTP status for each action error code
+const STATUS_FOR_ERROR = {
+    [ACTION_ERRORS.INVALID_INPUT]: 400,
+    [ACTION_ERRORS.INVALID_RANGE]: 400,
+    [ACTION_ERRORS.FORBIDDEN]: 403,
+    [ACTION_ERRORS.NOT_FOUND]: 404,
+    [ACTION_ERRORS.INVALID_SYMBOL]: 404,
+    [ACTION_ERRORS.NO_DATA]: 404,
+    [ACTION_ERRORS.ALREADY_EXISTS]: 409,
+    [ACTION_ERRORS.RATE_LIMIT]: 429,
+    [ACTION_ERRORS.FETCH_FAILED]: 502
+};
+
+// Answer with an action's result: { success, data } or { error, message } with a matching status
+const sendResult = (res, result, successStatus = 200) => {
+    if (result.success) {
+        res.status(successStatus).json(result);
+        return;
+    }
+    res.status(STATUS_FOR_ERROR[result.error] || 500).json(result);
+};
+
+// Rows per write while streaming an export
+const EXPORT_CHUNK_ROWS = 500;
+const MAX_EXPORT_SYMBOLS = 20;
+const MAX_FX_CURRENCIES = 20;
+const IMPORT_BODY_LIMIT = '10mb';
+
+// Wrap a route so unexpected failures answer 500 instead of hanging the request
+const route = (description, handler) => async (req, res) => {
+    try {
+        await handler(req, res);
+    } catch (error) {
+        console.error(`Error ${description}:`, error);
+        res.status(500).json({ error: 'SERVER_ERROR', message: `Server error ${description}.` });
+    }
+};
+
+// --- Versioned JSON API, mounted at /api/v1 ---
+// The same watchlist actions as the socket events, for scripts and integrations.
+// Requests need a bearer token from /auth/login.
+const createApiRouter = ({ addStock, removeStock, getStockRange }, io) => {
+    const router = express.Router();
+    router.use(authenticateRequest);
+
+    // An import changed: the viewers of the lists charting it reload it, as do the importer's tabs
+    const announceCustomSeries = async (symbol, userId) => {
+        const rooms = await roomsWithSymbol(symbol);
+        io.to([...rooms, userRoom(userId)]).emit('customSeriesUpdated', { symbol });
+    };
+
+    // GET /watchlists: the lists this user can see, with their role on each
+    router.get('/watchlists', route('listing watchlists', async (req, res) => {
+        res.json({ success: true, data: await listWatchlists(req.user.id) });
+    }));
+
+    // GET /watchlists/:slug/symbols
+    router.get('/watchlists/:slug/symbols', route('listing symbols', async (req, res) => {
+        const watchlist = await findWatchlist(req.params.slug);
+        if (!watchlist) {
+            sendResult(res, { error: ACTION_ERRORS.NOT_FOUND, message: `Watchlist "${req.params.slug}" not found.` });
+            return;
+        }
+        if (!roleFor(watchlist, req.user.id)) {
+            sendResult(res, { error: ACTION_ERRORS.FORBIDDEN, message: `You don't have access to "${watchlist.name}".` });
+            return;
+        }
+        res.json({ success: true, data: { name: watchlist.name, slug: watchlist.slug, symbols: watchlist.symbols } });
+    }));
+
+    // POST /watchlists/:slug/symbols with body { symbol }: answers with the symbol's default-range data
+    router.post('/watchlists/:slug/symbols', route('adding stock', async (req, res) => {
+        const result = await addStock({
+            slug: req.params.slug,
+            symbol: req.body && req.body.symbol,
+            user: req.user
+        });
+        sendResult(res, result, 201);
+    }));
+
+    // DELETE /watchlists/:slug/symbols/:symbol
+    router.delete('/watchlists/:slug/symbols/:symbol', route('removing stock', async (req, res) => {
+        const result = await removeStock({ slug: req.params.slug, symbol: req.params.symbol, user: req.user });
+        sendResult(res, result);
+    }));
+
+    // GET /symbols/search?q=<ticker or company name>: up to 10 { symbol, name, exchange, currency }
+    router.get('/symbols/search', route('searching symbols', async (req, res) => {
+        sendResult(res, await searchSymbols(req.query.q));
+    }));
+
+    // GET /export/csv?symbols=AAPL,MSFT&range=MAX[&adjusted=true][&currency=EUR]: the same CSV as the
+    // client's export (see shared/csv.js), streamed in chunks so long ranges don't build one huge string.
+    // Prices are as traded unless `adjusted` asks for split and dividend adjustment and `currency` for a
+    // base currency to convert them to, as the chart does.
+    router.get('/export/csv', route('exporting CSV', async (req, res) => {
+        const range = req.query.range || DEFAULT_RANGE_KEY;
+        const symbols = [...new Set(String(req.query.symbols || '').split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean))];
+        if (symbols.length === 0 || symbols.length > MAX_EXPORT_SYMBOLS) {
+            sendResult(res, { error: ACTION_ERRORS.INVALID_INPUT, message: `Pass 1 to ${MAX_EXPORT_SYMBOLS} comma-separated symbols.` });
+            return;
+        }
+        const adjusted = req.query.adjusted === 'true';
+        const currency = req.query.currency ? String(req.query.currency).trim().toUpperCase() : null;
+        if (currency !== null && !isValidCurrency(currency)) {
+            sendResult(res, { error: ACTION_ERRORS.INVALID_INPUT, message: `"${currency}" is not a three-letter currency code.` });
+            return;
+        }
+        const results = await Promise.all(symbols.map(symbol => getStockRange({ symbol, range })));
+        const failed = results.find(result => result.error);
+        if (failed) {
+            sendResult(res, failed);
+            return;
+        }
+
+        const nativeCurrencies = results.map(result => result.data.currency || 'USD');
+        let usdRates = {};
+        if (currency !== null && nativeCurrencies.some(native => native !== currency)) {
+            const rates = await getUsdRates([currency, ...nativeCurrencies]);
+            if (!rates.success) {
+                sendResult(res, { error: rates.error, message: `Could not load exchange rates for the export: ${rates.message}` });
+                return;
+            }
+            usdRates = rates.data;
+        }
+        const seriesList = results.map((result, i) => {
+            const shown = adjusted ? result.data.data.map(adjustBar) : result.data.data;
+            if (currency === null) {
+                return shown;
+            }
+            return convertBars(shown, conversionRate(usdRates, nativeCurrencies[i], currency), nativeCurrencies[i]);
+        });
+        const basis = { adjusted, currencies: currency === null ? nativeCurrencies : symbols.map(() => currency) };
+
+        const rows = alignByDate(seriesList);
+        res.status(200);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="stocks-${range}.csv"`);
+        res.write(csvHeader(symbols) + '\n');
+        for (let start = 0; start < rows.length; start += EXPORT_CHUNK_ROWS) {
+            const chunk = rows.slice(start, start + EXPORT_CHUNK_ROWS).map(row => csvRow(row.date, row.bars, basis) + '\n').join('');
+            if (!res.write(chunk)) {
+                await once(res, 'drain');
+            }
+        }
+        res.end();
+    }));
+
+    // GET /fx/rates?currencies=EUR,GBP: each currency's daily rates in US dollars per unit
+    // ({ EUR: [{ date, rate }], ... }, oldest first), for converting prices. USD is always 1 and left out.
+    router.get('/fx/rates', route('fetching exchange rates', async (req, res) => {
+        const currencies = [...new Set(String(req.query.currencies || '').split(',').map(currency => currency.trim().toUpperCase()).filter(Boolean))];
+        if (currencies.length === 0 || currencies.length > MAX_FX_CURRENCIES || !currencies.every(isValidCurrency)) {
+            sendResult(res, { error: ACTION_ERRORS.INVALID_INPUT, message: `Pass 1 to ${MAX_FX_CURRENCIES} comma-separated three-letter currency codes.` });
+            return;
+        }
+        sendResult(res, await getUsdRates(currencies));
+    }));
+
+    // --- Imported series (see customSeries.js) ---
+    // GET /custom-series: every imported series, without its bars
+    router.get('/custom-series', route('listing imported series', async (req, res) => {
+        res.json({ success: true, data: await listCustomSeries() });
+    }));
+
+    // PUT /custom-series/:symbol?name=<description>&currency=<code, default USD> with the CSV as a
+    // text/csv body: create or replace an import. Bad files answer 400 with { error, message, rowErrors: [{ line, message }] }.
+    // Tickers with market data can't be imported over, as the import would replace them for everyone.
+    router.put('/custom-series/:symbol', express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }), route('importing series', async (req, res) => {
+        const symbol = req.params.symbol.trim().toUpperCase();
+        if (!isValidSymbol(symbol)) {
+            sendResult(res, { error: ACTION_ERRORS.INVALID_INPUT, message: `"${symbol}" is not a valid stock symbol.` });
+            return;
+        }
+        const currency = String(req.query.currency || 'USD').trim().toUpperCase();
+        if (!isValidCurrency(currency)) {
+            sendResult(res, { error: ACTION_ERRORS.INVALID_INPUT, message: `"${currency}" is not a three-letter currency code.` });
+            return;
+        }
+        const parsed = parseBarsCsv(typeof req.body === 'string' ? req.body : '');
+        if (parsed.error) {
+            sendResult(res, { error: ACTION_ERRORS.INVALID_INPUT, message: parsed.error, rowErrors: parsed.rowErrors });
+            return;
+        }
+        if (!(await findCustomSeries(symbol))) {
+            const covered = await coveredByProvider(symbol);
+            if (covered) {
+                sendResult(res, { error: ACTION_ERRORS.ALREADY_EXISTS, message: `${symbol} is a listed ticker with market data. Import it under another symbol.` });
+                return;
+            }
+            if (covered === null) {
+                sendResult(res, { error: ACTION_ERRORS.FETCH_FAILED, message: `Couldn't check whether ${symbol} is a listed ticker. Try again later.` });
+                return;
+            }
+        }
+        const result = await saveCustomSeries(req.user.id, symbol, req.query.name, currency, parsed.bars);
+        if (result.error) {
+            sendResult(res, { error: ACTION_ERRORS.FORBIDDEN, message: result.error });
+            return;
+        }
+        console.log(`Imported ${parsed.bars.length} bars as ${symbol} for ${req.user.username}`);
+        await announceCustomSeries(symbol, req.user.id);
+        sendResult(res, { success: true, data: result.series });
+    }));
+
+    // DELETE /custom-series/:symbol: the uploader only; the symbol goes back to the provider
+    router.delete('/custom-series/:symbol', route('deleting imported series', async (req, res) => {
+        const symbol = req.params.symbol.trim().toUpperCase();
+        if (!(await deleteCustomSeries(req.user.id, symbol))) {
+            sendResult(res, { error: ACTION_ERRORS.NOT_FOUND, message: `You have no imported series named ${symbol}.` });
+            return;
+        }
+        await announceCustomSeries(symbol, req.user.id);
+        sendResult(res, { success: true, data: { symbol } });
+    }));
+
+    // GET /stocks/:symbol?range=1D|5D|1M|6M|1Y|5Y|MAX (default 6M)
+    router.get('/stocks/:symbol', route('fetching stock data', async (req, res) => {
+        const result = await getStockRange({ symbol: req.params.symbol, range: req.query.range || DEFAULT_RANGE_KEY });
+        sendResult(res, result);
+    }));
+
+    return router;
+};
+
+module.exports = {
+    createApiRouter
+};
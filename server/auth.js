@@ -0,0 +1,120 @@
+// server/auth.js
+
+const crypto = require('crypto');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('./models/User');
+
+const TOKEN_LIFETIME = '7d';
+const BCRYPT_ROUNDS = 10;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,30}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const JWT_SECRET = process.env.JWT_SECRET || (() => {
+    console.warn('JWT_SECRET is not set: using a random secret, so sessions end when the server restarts.');
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+// Socket.IO room holding all of one user's sockets (every tab they have open)
+const userRoom = (userId) => `user:${userId}`;
+
+// The identity carried in tokens and kept on each socket as socket.data.user
+const toSessionUser = (user) => ({ id: user._id.toString(), username: user.username });
+
+const signToken = (user) => jwt.sign({ username: user.username }, JWT_SECRET, {
+    subject: user._id.toString(),
+    expiresIn: TOKEN_LIFETIME
+});
+
+// Resolves to the session user for a valid token, or null
+const verifyToken = (token) => {
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        return { id: payload.sub, username: payload.username };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Socket.IO handshake middleware: only sockets with a valid token connect
+const authenticateSocket = (socket, next) => {
+    const user = verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+    if (!user) {
+        next(new Error('unauthorized'));
+        return;
+    }
+    socket.data.user = user;
+    next();
+};
+
+// Express middleware for the REST API: requires an "Authorization: Bearer <token>" header
+const authenticateRequest = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const user = scheme === 'Bearer' ? verifyToken(token) : null;
+    if (!user) {
+        res.status(401).json({ error: 'UNAUTHORIZED', message: 'A valid bearer token is required.' });
+        return;
+    }
+    req.user = user;
+    next();
+};
+
+const validateCredentials = (username, password) => {
+    if (!USERNAME_PATTERN.test(username)) {
+        return 'Username must be 3-30 letters, numbers, dots, dashes or underscores.';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+    }
+    return null;
+};
+
+// --- POST /auth/register and /auth/login, both answering { token, user } ---
+const authRouter = express.Router();
+
+authRouter.post('/register', async (req, res) => {
+    const username = String((req.body && req.body.username) || '').trim().toLowerCase();
+    const password = req.body && req.body.password;
+    const invalid = validateCredentials(username, password);
+    if (invalid) {
+        res.status(400).json({ error: invalid });
+        return;
+    }
+    try {
+        const user = await User.create({ username, passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS) });
+        console.log(`User registered: ${username}`);
+        res.status(201).json({ token: signToken(user), user: toSessionUser(user) });
+    } catch (error) {
+        if (error.code === 11000) {
+            res.status(409).json({ error: 'That username is taken.' });
+            return;
+        }
+        console.error('Error registering user:', error);
+        res.status(500).json({ error: 'Server error registering user.' });
+    }
+});
+
+authRouter.post('/login', async (req, res) => {
+    const username = String((req.body && req.body.username) || '').trim().toLowerCase();
+    const password = String((req.body && req.body.password) || '');
+    try {
+        const user = await User.findOne({ username });
+        if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+            res.status(401).json({ error: 'Invalid username or password.' });
+            return;
+        }
+        res.json({ token: signToken(user), user: toSessionUser(user) });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Server error logging in.' });
+    }
+});
+
+module.exports = {
+    authRouter,
+    authenticateRequest,
+    authenticateSocket,
+    userRoom,
+    verifyToken
+};
@@ -0,0 +1,87 @@
+// server/bars.js
+
+// Rolling daily bars up into weekly and monthly ones, for sources that only
+// have daily history (the fixture provider, imported custom series), and
+// deriving split- and dividend-adjusted closes.
+
+// Bars may carry corporate actions alongside their prices: adjustedClose (the
+// close scaled for every later split and dividend), dividend (cash paid per
+// share with that bar as ex-date) and splitCoefficient (shares after / before,
+// 1 when there was no split). Sources without them leave all three out.
+
+// Roll daily bars up into one bar per group, dated by the group's last day (as Alpha Vantage does)
+const aggregate = (bars, groupKey) => {
+    const groups = new Map();
+    bars.forEach(bar => {
+        const key = groupKey(bar.date);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(bar);
+    });
+    return Array.from(groups.values()).map(group => {
+        const last = group[group.length - 1];
+        const bar = {
+            date: last.date,
+            open: group[0].open,
+            high: Math.max(...group.map(bar => bar.high)),
+            low: Math.min(...group.map(bar => bar.low)),
+            close: last.close,
+            volume: group.reduce((sum, bar) => sum + bar.volume, 0)
+        };
+        if (last.adjustedClose !== undefined) {
+            bar.adjustedClose = last.adjustedClose;
+            bar.dividend = group.reduce((sum, bar) => sum + (bar.dividend || 0), 0);
+            bar.splitCoefficient = group.reduce((product, bar) => product * (bar.splitCoefficient || 1), 1);
+        }
+        return bar;
+    });
+};
+
+// Monday of the date's week
+const weekOf = (date) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+};
+
+const monthOf = (date) => date.slice(0, 7);
+
+// Daily bars (oldest first) at 'daily', 'weekly' or 'monthly'
+const toInterval = (bars, interval) => {
+    if (interval === 'weekly') {
+        return aggregate(bars, weekOf);
+    }
+    if (interval === 'monthly') {
+        return aggregate(bars, monthOf);
+    }
+    return bars;
+};
+
+// Daily bars (oldest first) with adjustedClose filled in from their dividends
+// and splits, the way Alpha Vantage computes it: walking back from the latest
+// bar, each split divides earlier closes by its coefficient and each dividend
+// scales them by (1 - dividend / previous close).
+const withAdjustedCloses = (bars) => {
+    let factor = 1;
+    const adjusted = new Array(bars.length);
+    for (let i = bars.length - 1; i >= 0; i--) {
+        const bar = bars[i];
+        adjusted[i] = {
+            ...bar,
+            adjustedClose: Math.round(bar.close * factor * 10000) / 10000,
+            dividend: bar.dividend || 0,
+            splitCoefficient: bar.splitCoefficient || 1
+        };
+        factor /= adjusted[i].splitCoefficient;
+        if (adjusted[i].dividend > 0 && i > 0) {
+            factor *= 1 - adjusted[i].dividend / bars[i - 1].close;
+        }
+    }
+    return adjusted;
+};
+
+module.exports = {
+    toInterval,
+    withAdjustedCloses
+};
@@ -0,0 +1,212 @@
+// server/customSeries.js
+
+// Imported daily series for instruments the provider doesn't cover. getStockData
+// serves them in place of provider data, so they reach clients through the usual
+// initialStocks/stockAdded/stockRangeData events and work in every feature that
+// reads bars (ranges, indicators, portfolio, export).
+
+const CustomSeries = require('./models/CustomSeries');
+const { toInterval } = require('./bars');
+const { fetchStockData } = require('./providers');
+const { PROVIDER_ERRORS } = require('./providers/errors');
+const { RANGES, isIntraday, trimToRange } = require('./ranges');
+const { isListedSymbol } = require('./symbols');
+
+const REQUIRED_COLUMNS = ['date', 'open', 'high', 'low', 'close', 'volume'];
+const PRICE_COLUMNS = ['open', 'high', 'low', 'close'];
+const MAX_ROWS = 50000;
+// Past this many, the rest of a file's row errors are summarized
+const MAX_ROW_ERRORS = 50;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A real calendar day in YYYY-MM-DD form (rejects 2024-02-30 and the like)
+const isValidDate = (date) => DATE_PATTERN.test(date)
+    && !Number.isNaN(Date.parse(date))
+    && new Date(`${date}T00:00:00Z`).toISOString().slice(0, 10) === date;
+
+// The problems with one data row, as messages
+const rowProblems = (record) => {
+    const problems = [];
+    if (!isValidDate(record.date)) {
+        problems.push(`bad date "${record.date}" (expected YYYY-MM-DD)`);
+    }
+    const prices = {};
+    PRICE_COLUMNS.forEach(column => {
+        const value = Number(record[column]);
+        if (record[column] === '' || !Number.isFinite(value)) {
+            problems.push(`${column} "${record[column]}" is not a number`);
+        } else if (value < 0) {
+            problems.push(`${column} is negative (${value})`);
+        } else {
+            prices[column] = value;
+        }
+    });
+    if (prices.high !== undefined && prices.low !== undefined && prices.high < prices.low) {
+        problems.push(`high (${prices.high}) is below low (${prices.low})`);
+    }
+    const volume = record.volume === '' ? 0 : Number(record.volume);
+    if (!Number.isFinite(volume) || volume < 0) {
+        problems.push(`volume "${record.volume}" is not a non-negative number`);
+    }
+    return problems;
+};
+
+/**
+ * Parse and validate a `date,open,high,low,close,volume` CSV (columns in any order,
+ * volume may be blank). Resolves to { bars } sorted oldest first, or { error, rowErrors }
+ * where each row error is { line, message } with 1-based file line numbers.
+ * @param {string} text
+ */
+const parseBarsCsv = (text) => {
+    // Spreadsheet exports often start with a byte order mark
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const columns = lines[0].split(',').map(column => column.trim().toLowerCase());
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        return { error: `The header row is missing: ${missing.join(', ')}.`, rowErrors: [] };
+    }
+
+    const rowErrors = [];
+    const bars = [];
+    const lineOfDate = new Map();
+    lines.slice(1).forEach((line, i) => {
+        const lineNumber = i + 2;
+        if (!line.trim()) {
+            return;
+        }
+        const values = line.split(',').map(value => value.trim());
+        if (values.length !== columns.length) {
+            rowErrors.push({ line: lineNumber, message: `expected ${columns.length} columns, found ${values.length}` });
+            return;
+        }
+        const record = {};
+        columns.forEach((column, j) => { record[column] = values[j]; });
+        const problems = rowProblems(record);
+        if (lineOfDate.has(record.date)) {
+            problems.push(`duplicate date ${record.date} (also on line ${lineOfDate.get(record.date)})`);
+        } else {
+            lineOfDate.set(record.date, lineNumber);
+        }
+        if (problems.length > 0) {
+            rowErrors.push({ line: lineNumber, message: problems.join('; ') });
+            return;
+        }
+        bars.push({
+            date: record.date,
+            open: Number(record.open),
+            high: Number(record.high),
+            low: Number(record.low),
+            close: Number(record.close),
+            volume: record.volume === '' ? 0 : Number(record.volume)
+        });
+    });
+
+    if (rowErrors.length > 0) {
+        const shown = rowErrors.slice(0, MAX_ROW_ERRORS);
+        if (rowErrors.length > MAX_ROW_ERRORS) {
+            shown.push({ line: null, message: `...and ${rowErrors.length - MAX_ROW_ERRORS} more rows with errors` });
+        }
+        return { error: `${rowErrors.length} row(s) could not be imported.`, rowErrors: shown };
+    }
+    if (bars.length === 0) {
+        return { error: 'The file has no data rows.', rowErrors: [] };
+    }
+    if (bars.length > MAX_ROWS) {
+        return { error: `Files are limited to ${MAX_ROWS} rows.`, rowErrors: [] };
+    }
+    return { bars: bars.sort((a, b) => a.date.localeCompare(b.date)) };
+};
+
+const toSummary = (series) => ({
+    symbol: series.symbol,
+    name: series.name,
+    currency: series.currency || 'USD',
+    owner: series.owner.toString(),
+    barCount: series.bars.length,
+    firstDate: series.bars.length > 0 ? series.bars[0].date : null,
+    lastDate: series.bars.length > 0 ? series.bars[series.bars.length - 1].date : null,
+    updatedAt: series.updatedAt
+});
+
+const findCustomSeries = (symbol) => CustomSeries.findOne({ symbol }).lean();
+
+const listCustomSeries = async () => {
+    const series = await CustomSeries.find({}).sort({ symbol: 1 }).lean();
+    return series.map(toSummary);
+};
+
+// Symbols that are served from imports, which live price polling should skip
+const customSymbols = () => CustomSeries.distinct('symbol');
+
+// Whether `symbol` is a ticker with market data, which an import would hide from every
+// watchlist: listed, or still known to the provider. Cached history doesn't count, so
+// delisted tickers can be imported. Resolves to true, false, or null when the provider
+// couldn't say (a rate limit or an outage).
+const coveredByProvider = async (symbol) => {
+    if (await isListedSymbol(symbol)) {
+        return true;
+    }
+    const result = await fetchStockData(symbol, { interval: 'daily', full: false });
+    if (result.success) {
+        return true;
+    }
+    return [PROVIDER_ERRORS.INVALID_SYMBOL, PROVIDER_ERRORS.NO_DATA].includes(result.error) ? false : null;
+};
+
+// Store `bars` (priced in `currency`) under `symbol`, replacing the uploader's earlier
+// import. Resolves to { series } or { error } when someone else owns the symbol.
+const saveCustomSeries = async (userId, symbol, name, currency, bars) => {
+    const existing = await CustomSeries.findOne({ symbol }).lean();
+    if (existing && existing.owner.toString() !== userId) {
+        return { error: `${symbol} was imported by someone else.` };
+    }
+    const series = await CustomSeries.findOneAndUpdate(
+        { symbol },
+        { $set: { name: String(name || '').trim(), currency, owner: userId, bars } },
+        { upsert: true, new: true, lean: true }
+    );
+    return { series: toSummary(series) };
+};
+
+// Only the uploader deletes. Resolves to whether it was deleted.
+const deleteCustomSeries = async (userId, symbol) => {
+    const result = await CustomSeries.deleteOne({ symbol, owner: userId });
+    return result.deletedCount > 0;
+};
+
+// The stock data getStockData would return for an imported series, or a provider
+// error for intraday ranges (imports are daily only)
+const customStockData = (series, rangeKey) => {
+    const range = RANGES[rangeKey];
+    if (isIntraday(range.interval)) {
+        return {
+            error: PROVIDER_ERRORS.NO_DATA,
+            message: `${series.symbol} is an imported daily series and has no intraday bars.`
+        };
+    }
+    return {
+        success: true,
+        data: {
+            symbol: series.symbol,
+            currency: series.currency || 'USD',
+            range: rangeKey,
+            interval: range.interval,
+            updatedAt: new Date(series.updatedAt).toISOString(),
+            custom: true,
+            name: series.name,
+            data: trimToRange(toInterval(series.bars, range.interval), range)
+                .map(({ date, open, high, low, close, volume }) => ({ date, open, high, low, close, volume }))
+        }
+    };
+};
+
+module.exports = {
+    coveredByProvider,
+    customStockData,
+    customSymbols,
+    deleteCustomSeries,
+    findCustomSeries,
+    listCustomSeries,
+    parseBarsCsv,
+    saveCustomSeries
+};
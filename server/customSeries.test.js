@@ -0,0 +1,79 @@
+// server/customSeries.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBarsCsv } = require('./customSeries');
+
+const HEADER = 'date,open,high,low,close,volume';
+const csv = (...rows) => [HEADER, ...rows].join('\n');
+
+test('parseBarsCsv reads rows into bars, oldest first', () => {
+    const result = parseBarsCsv(csv(
+        '2024-01-03,11,12,10,11.5,2000',
+        '2024-01-02,10,11,9,10.5,'
+    ));
+    assert.deepEqual(result, {
+        bars: [
+            { date: '2024-01-02', open: 10, high: 11, low: 9, close: 10.5, volume: 0 },
+            { date: '2024-01-03', open: 11, high: 12, low: 10, close: 11.5, volume: 2000 }
+        ]
+    });
+});
+
+test('parseBarsCsv takes columns in any order, a byte order mark and CRLF line ends', () => {
+    const result = parseBarsCsv('\uFEFFClose,Date,Volume,Open,High,Low\r\n10.5,2024-01-02,100,10,11,9\r\n');
+    assert.deepEqual(result.bars, [{ date: '2024-01-02', open: 10, high: 11, low: 9, close: 10.5, volume: 100 }]);
+});
+
+test('parseBarsCsv names the columns a header is missing', () => {
+    const result = parseBarsCsv('date,open,close\n2024-01-02,10,10.5');
+    assert.equal(result.error, 'The header row is missing: high, low, volume.');
+    assert.deepEqual(result.rowErrors, []);
+});
+
+test('parseBarsCsv reports every problem of a row on its file line', () => {
+    const result = parseBarsCsv(csv(
+        '2024-01-02,10,11,9,10.5,100',
+        '2024-01-03,-1,8,9,abc,100',
+        '2024-01-04,10,11,9',
+        '2024-01-05,10,11,9,10.5,-5'
+    ));
+    assert.equal(result.error, '3 row(s) could not be imported.');
+    assert.deepEqual(result.rowErrors, [
+        { line: 3, message: 'open is negative (-1); close "abc" is not a number; high (8) is below low (9)' },
+        { line: 4, message: 'expected 6 columns, found 4' },
+        { line: 5, message: 'volume "-5" is not a non-negative number' }
+    ]);
+});
+
+test('parseBarsCsv rejects malformed and impossible dates', () => {
+    const result = parseBarsCsv(csv(
+        '01/02/2024,10,11,9,10.5,100',
+        '2024-02-30,10,11,9,10.5,100'
+    ));
+    assert.deepEqual(result.rowErrors.map(error => error.line), [2, 3]);
+    assert.match(result.rowErrors[0].message, /bad date "01\/02\/2024"/);
+    assert.match(result.rowErrors[1].message, /bad date "2024-02-30"/);
+});
+
+test('parseBarsCsv points duplicate dates at the first line using them', () => {
+    const result = parseBarsCsv(csv(
+        '2024-01-02,10,11,9,10.5,100',
+        '2024-01-02,10,11,9,10.6,100'
+    ));
+    assert.deepEqual(result.rowErrors, [{ line: 3, message: 'duplicate date 2024-01-02 (also on line 2)' }]);
+});
+
+test('parseBarsCsv summarizes row errors past the first 50', () => {
+    const rows = Array.from({ length: 60 }, (_, i) => `2024-01-02,x${i},11,9,10.5,100`);
+    const result = parseBarsCsv(csv(...rows));
+    assert.equal(result.error, '60 row(s) could not be imported.');
+    assert.equal(result.rowErrors.length, 51);
+    assert.deepEqual(result.rowErrors[50], { line: null, message: '...and 10 more rows with errors' });
+});
+
+test('parseBarsCsv refuses empty files and files with only a header', () => {
+    assert.equal(parseBarsCsv('').error, 'The header row is missing: date, open, high, low, close, volume.');
+    assert.equal(parseBarsCsv(undefined).error, 'The header row is missing: date, open, high, low, close, volume.');
+    assert.deepEqual(parseBarsCsv(`${HEADER}\n\n`), { error: 'The file has no data rows.', rowErrors: [] });
+});
@@ -0,0 +1,71 @@
+// server/fxRates.js
+
+// Daily exchange rates for converting prices between currencies. Each currency's
+// rates are cached as US dollars per unit, so one provider call a day per currency
+// covers every pair, whatever base currency clients pick.
+
+const { fx: { PIVOT_CURRENCY } } = require('stock-chart-shared');
+const FxRate = require('./models/FxRate');
+const { fetchFxRates } = require('./providers');
+const { lastMarketClose } = require('./marketHours');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+// Currencies quoted in a fraction of another: London prices come in pence
+const SUBUNITS = { GBX: { currency: 'GBP', per: 100 } };
+
+const isValidCurrency = (currency) => CURRENCY_PATTERN.test(currency);
+
+// Rates are refetched once after each US market close, along with the day's bars
+const isFresh = (cached, now = Date.now()) => Boolean(cached && cached.rates.length > 0 && cached.lastFetchedAt)
+    && new Date(cached.lastFetchedAt).getTime() >= lastMarketClose(now).getTime();
+
+// Resolves to { success, data: [{ date, rate }] } in US dollars per unit of `currency`, or a provider error
+const usdRates = async (currency) => {
+    if (SUBUNITS[currency]) {
+        const { currency: parent, per } = SUBUNITS[currency];
+        const result = await usdRates(parent);
+        return result.success
+            ? { success: true, data: result.data.map(({ date, rate }) => ({ date, rate: rate / per })) }
+            : result;
+    }
+
+    const cached = await FxRate.findOne({ currency }).lean();
+    if (isFresh(cached)) {
+        return { success: true, data: cached.rates };
+    }
+    const result = await fetchFxRates(currency, PIVOT_CURRENCY);
+    if (!result.success) {
+        if (cached && cached.rates.length > 0) {
+            console.warn(`Serving stale ${currency} exchange rates: ${result.message}`);
+            return { success: true, data: cached.rates };
+        }
+        return result;
+    }
+    await FxRate.updateOne(
+        { currency },
+        { $set: { rates: result.data, lastFetchedAt: new Date() } },
+        { upsert: true }
+    );
+    return { success: true, data: result.data };
+};
+
+/**
+ * Daily rates for each currency in US dollars per unit, keyed by currency. USD
+ * itself is left out (it is always 1).
+ * @param {string[]} currencies Three-letter codes (GBX for pence)
+ * @returns {Promise<object>} { success, data: { [currency]: [{ date, rate }] } } or the first provider error
+ */
+const getUsdRates = async (currencies) => {
+    const wanted = [...new Set(currencies)].filter(currency => currency !== PIVOT_CURRENCY);
+    const results = await Promise.all(wanted.map(usdRates));
+    const failed = results.find(result => !result.success);
+    if (failed) {
+        return failed;
+    }
+    return { success: true, data: Object.fromEntries(wanted.map((currency, i) => [currency, results[i].data])) };
+};
+
+module.exports = {
+    getUsdRates,
+    isValidCurrency
+};
@@ -7,7 +7,31 @@ const http = require('http');
 const socketIo = require('socket.io');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const axios = require('axios'); // For making HTTP requests to external APIs
+const { listActivity } = require('./activity');
+const { alertSymbols, createAlert, deleteAlert, listAlerts, snoozeAlert, startAlertEvaluator } = require('./alerts');
+const { createAnnotationActions, listAnnotations } = require('./annotations');
+const { createApiRouter } = require('./api');
+const { customSymbols } = require('./customSeries');
+const { authRouter, authenticateSocket, userRoom } = require('./auth');
+const { addTransaction, deleteTransaction, getPortfolio } = require('./portfolio');
+const { getStockData, initPriceCache } = require('./priceCache');
+const { providerName } = require('./providers');
+const { startPricePoller } = require('./pricePoller');
+const { ACTION_ERRORS, createStockActions } = require('./stockActions');
+const {
+    DEFAULT_WATCHLIST_SLUG,
+    allSymbols,
+    changesSince,
+    createWatchlist,
+    deleteWatchlist,
+    ensureDefaultWatchlist,
+    findWatchlist,
+    listWatchlists,
+    roleFor,
+    roomFor,
+    roomsWithSymbol,
+    shareWatchlist
+} = require('./watchlists');
 
 const app = express();
 const server = http.createServer(app);
@@ -22,68 +46,10 @@ const io = socketIo(server, {
 
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI;
-const ALPHA_VANTAGE_API_KEY = process.env.STOCK_API_KEY; // Use the environment variable
-
-// --- MongoDB Schema and Model (NEW) ---
-const stockSchema = new mongoose.Schema({
-    symbol: {
-        type: String,
-        required: true,
-        unique: true,
-        uppercase: true
-    },
-    
-});
-
-const Stock = mongoose.model('Stock', stockSchema);
-
-// --- Helper function to fetch stock data from Alpha Vantage 
-const fetchStockData = async (symbol) => {
-    const url = `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY&symbol=${symbol}&outputsize=compact&apikey=${ALPHA_VANTAGE_API_KEY}`;
-    try {
-        const response = await axios.get(url);
-        const data = response.data;
-
-        if (data['Error Message']) {
-            console.error(`Alpha Vantage Error for ${symbol}:`, data['Error Message']);
-            // Check for specific rate limit message
-            if (data['Error Message'].includes('Thank you for using Alpha Vantage! Our standard API call frequency is 5 calls per minute and 500 calls per day.')) {
-                return { error: 'RATE_LIMIT', message: 'Alpha Vantage API rate limit exceeded. Please wait a minute.' };
-            }
-            return { error: 'API_ERROR', message: data['Error Message'] };
-        }
-        if (data['Note'] && data['Note'].includes('thank you for using Alpha Vantage!')) {
-            console.warn(`Alpha Vantage Rate Limit Hit for ${symbol}. Please wait.`, data['Note']);
-            // This is a common message for rate limits on free tier
-            return { error: 'RATE_LIMIT', message: 'Alpha Vantage API rate limit exceeded. Please wait a minute.' };
-        }
-        if (Object.keys(data).length === 0) { // Sometimes an empty object is returned for invalid symbols
-            return { error: 'INVALID_SYMBOL', message: 'Invalid stock symbol.' };
-        }
-        if (!data['Time Series (Daily)']) {
-            console.warn(`No daily time series data found for ${symbol}. API response:`, data);
-            return { error: 'NO_DATA', message: 'No historical data found for this symbol. It might be invalid or not traded.' };
-        }
-
-        const timeSeries = data['Time Series (Daily)'];
-        const formattedData = {
-            symbol: symbol,
-            data: Object.keys(timeSeries).map(date => ({
-                date: date,
-                open: parseFloat(timeSeries[date]['1. open']),
-                high: parseFloat(timeSeries[date]['2. high']),
-                low: parseFloat(timeSeries[date]['3. low']),
-                close: parseFloat(timeSeries[date]['4. close']),
-                volume: parseInt(timeSeries[date]['5. volume'])
-            })).sort((a, b) => new Date(a.date) - new Date(b.date))
-        };
-        return { success: true, data: formattedData }; // Return an object with success/error status
-
-    } catch (error) {
-        console.error(`Error fetching data for ${symbol} from Alpha Vantage:`, error.message);
-        return { error: 'FETCH_FAILED', message: 'Failed to connect to stock data API.' };
-    }
-};
+// How often live quotes are refreshed during market hours; 0 turns polling off
+const PRICE_POLL_INTERVAL_MS = process.env.PRICE_POLL_INTERVAL_MS !== undefined
+    ? parseInt(process.env.PRICE_POLL_INTERVAL_MS)
+    : 5 * 60 * 1000;
 
 // Middleware
 app.use(cors({
@@ -94,6 +60,8 @@ app.use(express.json());
 // MongoDB Connection
 mongoose.connect(MONGODB_URI)
     .then(() => console.log('MongoDB connected successfully'))
+    .then(initPriceCache)
+    .then(ensureDefaultWatchlist)
     .catch(err => console.error('MongoDB connection error:', err));
 
 // Basic Route
@@ -101,101 +69,430 @@ app.get('/', (req, res) => {
     res.send('Stock Chart API is running!');
 });
 
+// Registration and login
+app.use('/auth', authRouter);
+
+// Adding, removing and fetching stocks, shared by the socket handlers and the REST API
+const stockActions = createStockActions(io);
+app.use('/api/v1', createApiRouter(stockActions, io));
+const annotationActions = createAnnotationActions(io);
+
+// Every connected socket's watchlist summaries depend on its user, so each gets its own copy
+const broadcastWatchlists = async () => {
+    const sockets = await io.fetchSockets();
+    await Promise.all(sockets.map(async (connected) => {
+        connected.emit('watchlists', await listWatchlists(connected.data.user.id));
+    }));
+};
+
+// Tell a list's viewers who is viewing it, from the sockets in its room: one entry
+// per user however many tabs they have open. Sent whenever a socket joins or leaves.
+const broadcastPresence = async (slug) => {
+    const sockets = await io.in(roomFor(slug)).fetchSockets();
+    const users = new Map(sockets.map(viewer => [viewer.data.user.id, viewer.data.user.username]));
+    io.to(roomFor(slug)).emit('presence', {
+        slug,
+        users: [...users]
+            .map(([id, username]) => ({ id, username }))
+            .sort((a, b) => a.username.localeCompare(b.username))
+    });
+};
+
 // --- Socket.IO connection handling ---
+// Only sockets presenting a valid session token get this far (see auth.js)
+io.use(authenticateSocket);
+
 io.on('connection', async (socket) => {
-    console.log('A user connected:', socket.id);
+    const user = socket.data.user;
+    console.log('A user connected:', socket.id, user.username);
 
-    try {
-        const activeStocks = await Stock.find({});
-        const stockDataPromises = activeStocks.map(async (stock) => {
-            const result = await fetchStockData(stock.symbol);
-            return result.success ? result.data : null; // Only return data if successful
-        });
-        const initialStockData = (await Promise.all(stockDataPromises)).filter(Boolean);
-        socket.emit('initialStocks', initialStockData);
-    } catch (error) {
-        console.error('Error sending initial stocks:', error);
-        socket.emit('stockError', { symbol: '', message: 'Failed to load initial stocks.' });
-    }
+    // Rejected actions get their own event, so the client can tell them apart from failures
+    const emitUnauthorized = (action, message) => {
+        console.warn(`Unauthorized ${action} by ${user.username}`);
+        socket.emit('unauthorized', { action, message });
+    };
+
+    // Emit the client event for a failed stock action
+    const emitActionError = (action, symbol, result) => {
+        if (result.error === ACTION_ERRORS.FORBIDDEN) {
+            emitUnauthorized(action, result.message);
+        } else if (result.error === ACTION_ERRORS.ALREADY_EXISTS) {
+            socket.emit('stockAlreadyExists', result.data);
+        } else if (result.error === ACTION_ERRORS.RATE_LIMIT) {
+            socket.emit('rateLimitExceeded', { symbol, message: result.message });
+        } else {
+            socket.emit('stockError', { symbol, message: result.message });
+        }
+    };
+
+    // Tell this client where its symbol is in the provider request queue while it waits
+    const reportQueueProgress = (symbol) => ({ position, estimatedWaitMs }) => {
+        socket.emit('stockQueued', { symbol, position, estimatedWaitMs });
+    };
+
+    // The watchlist this socket is viewing: addStock/removeStock apply to it,
+    // and it only hears stockAdded/stockRemoved for it
+    let watchlistSlug = null;
+
+    // Answer a stock action through the client's acknowledgement callback when it
+    // passed one, otherwise (clients without one) with the error events
+    const respond = (action, symbol, result, ack) => {
+        if (typeof ack === 'function') {
+            ack(result);
+        } else if (result.error) {
+            emitActionError(action, symbol, result);
+        }
+    };
+
+    // Bars for each of `symbols` that has data, in order
+    const loadStocks = async (symbols) => {
+        const results = await Promise.all(symbols.map(symbol => getStockData(symbol, reportQueueProgress(symbol))));
+        return results.filter(result => result.success).map(result => result.data);
+    };
+
+    // Bring the client's copy of `watchlist` up to date: a watchlistDelta from version
+    // `since` when the change log still covers it, otherwise the whole list as
+    // initialStocks. Both carry the version they bring the client to, which this resolves to.
+    const sendWatchlistState = async (watchlist, since) => {
+        const version = watchlist.version || 0;
+        const delta = since === undefined ? null : changesSince(watchlist, since);
+        if (delta) {
+            const added = await loadStocks(delta.added);
+            if (watchlistSlug === watchlist.slug) { // Not if the client switched lists while we were fetching
+                socket.emit('watchlistDelta', { slug: watchlist.slug, version, symbols: delta.symbols, added, removed: delta.removed });
+            }
+        } else {
+            const initialStockData = await loadStocks(watchlist.symbols);
+            if (watchlistSlug === watchlist.slug) {
+                socket.emit('initialStocks', initialStockData, { slug: watchlist.slug, version });
+            }
+        }
+        return version;
+    };
 
-    socket.on('addStock', async (symbol) => {
-        console.log(`Add stock request: ${symbol} by ${socket.id}`);
+    // Move this socket into `slug`'s room (the default list's if there is no such
+    // list) and send that list's stocks, or only what changed after version `since`
+    // when the client already has the list (a reconnect)
+    const joinWatchlist = async (slug, since) => {
+        let watchlist = await findWatchlist(slug || DEFAULT_WATCHLIST_SLUG);
+        if (!watchlist) {
+            socket.emit('stockError', { symbol: '', message: `Watchlist "${slug}" not found. Showing the default watchlist.` });
+            watchlist = await findWatchlist(DEFAULT_WATCHLIST_SLUG);
+        } else if (!roleFor(watchlist, user.id)) {
+            emitUnauthorized('joinWatchlist', `You don't have access to "${watchlist.name}". Showing the default watchlist.`);
+            watchlist = await findWatchlist(DEFAULT_WATCHLIST_SLUG);
+        }
+        const previousSlug = watchlistSlug;
+        if (previousSlug) {
+            socket.leave(roomFor(previousSlug));
+        }
+        watchlistSlug = watchlist.slug;
+        socket.join(roomFor(watchlistSlug));
+        socket.emit('watchlistJoined', { name: watchlist.name, slug: watchlist.slug });
+        if (previousSlug && previousSlug !== watchlistSlug) {
+            await broadcastPresence(previousSlug);
+        }
+        await broadcastPresence(watchlistSlug);
+
+        socket.emit('annotations', { slug: watchlist.slug, annotations: await listAnnotations(watchlist) });
+        socket.emit('history', { slug: watchlist.slug, entries: await listActivity(watchlist) });
+        const sent = await sendWatchlistState(watchlist, watchlist.slug === slug ? since : undefined);
+        // Changes made while the bars loaded were broadcast before the client had the list; send them again
+        const latest = await findWatchlist(watchlist.slug);
+        if (latest && watchlistSlug === latest.slug && (latest.version || 0) !== sent) {
+            await sendWatchlistState(latest, sent);
+        }
+    };
+
+    // Alerts and other per-user events reach every tab the user has open
+    socket.join(userRoom(user.id));
+    const sendAlerts = async () => {
+        io.to(userRoom(user.id)).emit('alerts', await listAlerts(user.id));
+    };
+
+    socket.on('joinWatchlist', async (slug) => {
+        try {
+            await joinWatchlist(slug);
+        } catch (error) {
+            console.error(`Error joining watchlist ${slug}:`, error);
+            socket.emit('stockError', { symbol: '', message: 'Failed to load watchlist.' });
+        }
+    });
+
+    socket.on('createWatchlist', async (name) => {
+        try {
+            const result = await createWatchlist(name, user.id);
+            if (result.error) {
+                socket.emit('stockError', { symbol: '', message: result.error });
+                return;
+            }
+            console.log(`Watchlist created: ${result.watchlist.slug} by ${user.username}`);
+            socket.emit('watchlists', await listWatchlists(user.id));
+            await joinWatchlist(result.watchlist.slug);
+        } catch (error) {
+            console.error(`Error creating watchlist ${name}:`, error);
+            socket.emit('stockError', { symbol: '', message: 'Server error creating watchlist.' });
+        }
+    });
+
+    socket.on('deleteWatchlist', async (slug) => {
         try {
-            let stock = await Stock.findOne({ symbol });
-            if (stock) {
-                console.log(`${symbol} already exists.`);
-                const existingStockDataResult = await fetchStockData(symbol);
-                if (existingStockDataResult.success) {
-                    socket.emit('stockAlreadyExists', existingStockDataResult.data);
-                } else {
-                    // Handle case where it exists but we couldn't fetch current data (e.g., rate limit)
-                    socket.emit('stockError', { symbol, message: existingStockDataResult.message });
-                }
+            if (!(await deleteWatchlist(slug, user.id))) {
+                emitUnauthorized('deleteWatchlist', 'Only the owner can delete a watchlist, and the default watchlist stays.');
                 return;
             }
+            console.log(`Watchlist deleted: ${slug} by ${user.username}`);
+            // Its viewers move back to the default list
+            io.to(roomFor(slug)).emit('watchlistDeleted', slug);
+            await broadcastWatchlists();
+        } catch (error) {
+            console.error(`Error deleting watchlist ${slug}:`, error);
+            socket.emit('stockError', { symbol: '', message: 'Server error deleting watchlist.' });
+        }
+    });
 
-            const dataResult = await fetchStockData(symbol); // Call the updated fetch function
+    // Owner only: { slug, username, role } with role 'editor', 'viewer', or null to revoke access
+    socket.on('shareWatchlist', async (request) => {
+        const { slug, username, role } = request || {};
+        try {
+            const watchlist = await findWatchlist(slug);
+            if (!watchlist || roleFor(watchlist, user.id) !== 'owner') {
+                emitUnauthorized('shareWatchlist', 'Only the owner can share this watchlist.');
+                return;
+            }
+            const result = await shareWatchlist(slug, user.id, username, role);
+            if (result.error) {
+                socket.emit('stockError', { symbol: '', message: result.error });
+                return;
+            }
+            console.log(`Watchlist ${slug} shared with ${username} as ${role} by ${user.username}`);
+            if (!role) {
+                // Anyone it was taken from who is looking at it right now goes back to the default list
+                const viewers = await io.in(roomFor(slug)).fetchSockets();
+                viewers
+                    .filter(viewer => viewer.data.user.username === String(username).trim().toLowerCase())
+                    .forEach(viewer => viewer.emit('watchlistAccessRevoked', slug));
+            }
+            await broadcastWatchlists();
+        } catch (error) {
+            console.error(`Error sharing watchlist ${slug}:`, error);
+            socket.emit('stockError', { symbol: '', message: 'Server error sharing watchlist.' });
+        }
+    });
 
-            if (dataResult.error) {
-                // Emit specific error types to the client
-                if (dataResult.error === 'RATE_LIMIT') {
-                    socket.emit('rateLimitExceeded', { symbol, message: dataResult.message });
-                } else if (dataResult.error === 'INVALID_SYMBOL' || dataResult.error === 'NO_DATA') {
-                    socket.emit('stockError', { symbol, message: `Could not find data for ${symbol}. Please check the symbol.` });
-                } else {
-                    socket.emit('stockError', { symbol, message: `Failed to fetch data for ${symbol}: ${dataResult.message}` });
-                }
+    // --- Price alerts: { symbol, condition: 'above' | 'below' | 'change', threshold } ---
+    socket.on('createAlert', async (alert) => {
+        try {
+            const result = await createAlert(user.id, alert || {});
+            if (result.error) {
+                socket.emit('stockError', { symbol: (alert && alert.symbol) || '', message: result.error });
                 return;
             }
+            console.log(`Alert created by ${user.username}: ${result.alert.symbol} ${result.alert.condition} ${result.alert.threshold}`);
+            await sendAlerts();
+        } catch (error) {
+            console.error('Error creating alert:', error);
+            socket.emit('stockError', { symbol: '', message: 'Server error creating alert.' });
+        }
+    });
 
-            stock = new Stock({ symbol });
-            await stock.save();
-            console.log(`Stock added to DB: ${symbol}`);
+    socket.on('deleteAlert', async (alertId) => {
+        try {
+            if (await deleteAlert(alertId, user.id)) {
+                await sendAlerts();
+            }
+        } catch (error) {
+            console.error(`Error deleting alert ${alertId}:`, error);
+            socket.emit('stockError', { symbol: '', message: 'Server error deleting alert.' });
+        }
+    });
 
-            io.emit('stockAdded', dataResult.data); // Emit the successful data
+    // { id, minutes }: 0 minutes ends the snooze
+    socket.on('snoozeAlert', async (request) => {
+        const { id, minutes } = request || {};
+        try {
+            if (await snoozeAlert(id, user.id, Number(minutes) || 0)) {
+                await sendAlerts();
+            }
+        } catch (error) {
+            console.error(`Error snoozing alert ${id}:`, error);
+            socket.emit('stockError', { symbol: '', message: 'Server error snoozing alert.' });
+        }
+    });
 
+    // --- Portfolio: transactions in, holdings, P&L and a value series out ---
+    // { range, currency } -> 'portfolio', valued in `currency` (default USD). Clients ask again
+    // with their range and base currency on 'portfolioChanged'.
+    socket.on('requestPortfolio', async (request) => {
+        const { range, currency } = request || {};
+        try {
+            const result = await getPortfolio(user.id, range, currency);
+            if (result.error) {
+                socket.emit('stockError', { symbol: '', message: result.message });
+                return;
+            }
+            socket.emit('portfolio', result.data);
         } catch (error) {
-            if (error.code === 11000) {
-                console.warn(`Attempted to add duplicate stock: ${symbol}`);
-                const existingStockDataResult = await fetchStockData(symbol);
-                if (existingStockDataResult.success) {
-                    io.emit('stockAdded', existingStockDataResult.data);
-                } else {
-                    // If duplicate but couldn't fetch data, inform the sender
-                    socket.emit('stockAlreadyExists', { symbol, message: existingStockDataResult.message });
-                }
-            } else {
-                console.error(`Error adding stock ${symbol}:`, error);
-                socket.emit('stockError', { symbol, message: 'Server error adding stock.' });
+            console.error(`Error computing portfolio for ${user.username}:`, error);
+            socket.emit('stockError', { symbol: '', message: 'Server error loading portfolio.' });
+        }
+    });
+
+    // { symbol, side: 'buy' | 'sell', date: 'YYYY-MM-DD', quantity, price, fees }
+    socket.on('addTransaction', async (transaction) => {
+        try {
+            const result = await addTransaction(user.id, transaction || {});
+            if (result.error) {
+                socket.emit('stockError', { symbol: (transaction && transaction.symbol) || '', message: result.error });
+                return;
+            }
+            console.log(`Transaction added by ${user.username}: ${result.transaction.side} ${result.transaction.quantity} ${result.transaction.symbol}`);
+            io.to(userRoom(user.id)).emit('portfolioChanged');
+        } catch (error) {
+            console.error('Error adding transaction:', error);
+            socket.emit('stockError', { symbol: '', message: 'Server error adding transaction.' });
+        }
+    });
+
+    socket.on('deleteTransaction', async (transactionId) => {
+        try {
+            const result = await deleteTransaction(transactionId, user.id);
+            if (result.error) {
+                socket.emit('stockError', { symbol: '', message: result.error });
+                return;
             }
+            io.to(userRoom(user.id)).emit('portfolioChanged');
+        } catch (error) {
+            console.error(`Error deleting transaction ${transactionId}:`, error);
+            socket.emit('stockError', { symbol: '', message: 'Server error deleting transaction.' });
         }
     });
 
-    // --- Handle 'removeStock' event (NEW) ---
-    socket.on('removeStock', async (symbol) => {
-        console.log(`Remove stock request: ${symbol} by ${socket.id}`);
+    // The client noticed a gap in the versions of stockAdded/stockRemoved it received
+    socket.on('syncWatchlist', async (request) => {
+        const { slug, version } = request || {};
         try {
-            const result = await Stock.deleteOne({ symbol });
-            if (result.deletedCount > 0) {
-                console.log(`Stock removed from DB: ${symbol}`);
-                // Broadcast to all clients that this stock was removed
-                io.emit('stockRemoved', symbol);
-            } else {
-                console.log(`${symbol} not found in DB to remove.`);
+            const watchlist = slug === watchlistSlug ? await findWatchlist(slug) : null;
+            if (watchlist) {
+                await sendWatchlistState(watchlist, version);
             }
+        } catch (error) {
+            console.error(`Error syncing watchlist ${slug}:`, error);
+            socket.emit('stockError', { symbol: '', message: 'Failed to refresh watchlist.' });
+        }
+    });
+
+    socket.on('addStock', async (symbol, ack) => {
+        const slug = watchlistSlug;
+        console.log(`Add stock request: ${symbol} to ${slug} by ${user.username}`);
+        try {
+            const result = await stockActions.addStock({ slug, symbol, user, onProgress: reportQueueProgress(symbol) });
+            // On success the action has already sent stockAdded to this list's viewers
+            respond('addStock', symbol, result, ack);
+        } catch (error) {
+            console.error(`Error adding stock ${symbol}:`, error);
+            respond('addStock', symbol, { error: 'SERVER_ERROR', message: 'Server error adding stock.' }, ack);
+        }
+    });
+
+    socket.on('removeStock', async (symbol, ack) => {
+        const slug = watchlistSlug;
+        console.log(`Remove stock request: ${symbol} from ${slug} by ${user.username}`);
+        try {
+            const result = await stockActions.removeStock({ slug, symbol, user });
+            respond('removeStock', symbol, result, ack);
         } catch (error) {
             console.error(`Error removing stock ${symbol}:`, error);
-            socket.emit('stockError', { symbol, message: 'Server error removing stock.' });
+            respond('removeStock', symbol, { error: 'SERVER_ERROR', message: 'Server error removing stock.' }, ack);
+        }
+    });
+
+    // Reverse a change from the current list's history (see stockActions.js), answered through `ack`
+    socket.on('undoActivity', async (id, ack) => {
+        const slug = watchlistSlug;
+        console.log(`Undo request: ${id} on ${slug} by ${user.username}`);
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            reply(await stockActions.undoChange({ slug, id, user }));
+        } catch (error) {
+            console.error(`Error undoing ${id}:`, error);
+            reply({ error: 'SERVER_ERROR', message: 'Server error undoing change.' });
+        }
+    });
+
+    // --- Annotations on the current list's symbols (see annotations.js), answered through `ack` ---
+    // createAnnotation { symbol, kind, points, text }, updateAnnotation { id, points, text }, deleteAnnotation { id }
+    ['createAnnotation', 'updateAnnotation', 'deleteAnnotation'].forEach(action => {
+        socket.on(action, async (input, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                reply(await annotationActions[action]({ ...input, slug: watchlistSlug, user }));
+            } catch (error) {
+                console.error(`Error in ${action} by ${user.username}:`, error);
+                reply({ error: 'SERVER_ERROR', message: 'Server error saving annotation.' });
+            }
+        });
+    });
+
+    // --- Handle 'requestStockRange' event: one symbol's bars for a chart range ('1D' ... 'MAX') ---
+    socket.on('requestStockRange', async (request) => {
+        const { symbol, range } = request || {};
+        try {
+            const result = await stockActions.getStockRange({ symbol, range, onProgress: reportQueueProgress(symbol) });
+            if (result.error) {
+                emitActionError('requestStockRange', symbol, result);
+                return;
+            }
+            socket.emit('stockRangeData', result.data);
+        } catch (error) {
+            console.error(`Error fetching ${range} range for ${symbol}:`, error);
+            socket.emit('stockError', { symbol, message: 'Server error loading range.' });
         }
     });
 
-    // Handle disconnection
-    socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
+    // Handle disconnection. The socket has left its room by now, so the list's presence no longer counts it.
+    socket.on('disconnect', async () => {
+        console.log('User disconnected:', socket.id, user.username);
+        if (watchlistSlug) {
+            try {
+                await broadcastPresence(watchlistSlug);
+            } catch (error) {
+                console.error(`Error updating presence on ${watchlistSlug}:`, error);
+            }
+        }
     });
+
+    // The initial state goes out once every handler above is registered: loading the list's
+    // stocks can wait minutes in the provider queue, and events the client sends meanwhile
+    // (requestPortfolio right after connecting) would be dropped without a listener
+    try {
+        socket.emit('watchlists', await listWatchlists(user.id));
+        socket.emit('alerts', await listAlerts(user.id));
+        // A reconnecting client says which version of its list it has (see App.js)
+        const { sync } = socket.handshake.auth;
+        const slug = socket.handshake.query.watchlist;
+        await joinWatchlist(slug, sync && sync.slug === slug ? sync.version : undefined);
+    } catch (error) {
+        console.error('Error sending initial stocks:', error);
+        socket.emit('stockError', { symbol: '', message: 'Failed to load initial stocks.' });
+    }
 });
 
+// --- Price alerts, checked whenever daily bars arrive (from polling or fetches) ---
+startAlertEvaluator(io);
+
+// --- Live price polling ---
+if (PRICE_POLL_INTERVAL_MS > 0) {
+    // Watchlist symbols, and alert symbols so alerts fire without the symbol being charted.
+    // Imported series have no live quotes.
+    const polledSymbols = async () => {
+        const [symbols, alerted, imported] = await Promise.all([allSymbols(), alertSymbols(), customSymbols()]);
+        return [...new Set([...symbols, ...alerted])].filter(symbol => !imported.includes(symbol));
+    };
+    startPricePoller(io, polledSymbols, roomsWithSymbol, PRICE_POLL_INTERVAL_MS);
+}
+
 // Start the server
 server.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
+    console.log(`Server running on port ${PORT} (market data provider: ${providerName})`);
 });
\ No newline at end of file
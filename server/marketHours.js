@@ -0,0 +1,75 @@
+// server/marketHours.js
+
+// US equity session times, in New York time. Exchange holidays are not
+// modelled: on those days we simply find no new data.
+
+const MARKET_TIME_ZONE = 'America/New_York';
+const MARKET_OPEN = { hour: 9, minute: 30 };
+const MARKET_CLOSE = { hour: 16, minute: 0 };
+
+// Minutes the given time zone is ahead of UTC at the given instant (negative for New York)
+const timeZoneOffsetMinutes = (instant, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(instant);
+    const get = (type) => Number(parts.find(part => part.type === type).value);
+    const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+    return Math.round((wallClockAsUtc - instant.getTime()) / 60000);
+};
+
+const isWeekend = (day) => day.getUTCDay() === 0 || day.getUTCDay() === 6;
+
+// The instant of a New York wall-clock time on the (UTC midnight) `day`
+const marketTime = (day, { hour, minute }) => {
+    const asUtc = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute);
+    const offset = timeZoneOffsetMinutes(new Date(asUtc), MARKET_TIME_ZONE);
+    return new Date(asUtc - offset * 60000);
+};
+
+// The New York calendar date (YYYY-MM-DD) at `instant`
+const marketDate = (instant = new Date()) => new Intl.DateTimeFormat('en-CA', {
+    timeZone: MARKET_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+}).format(instant);
+
+// The first market close (16:00 New York time, weekdays) after the trading day of `dateString`
+const marketCloseAfter = (dateString) => {
+    const day = new Date(`${dateString}T00:00:00Z`);
+    do {
+        day.setUTCDate(day.getUTCDate() + 1);
+    } while (isWeekend(day));
+    return marketTime(day, MARKET_CLOSE);
+};
+
+// The most recent market close at or before `now`
+const lastMarketClose = (now = Date.now()) => {
+    const day = new Date(`${marketDate(new Date(now))}T00:00:00Z`);
+    while (isWeekend(day) || marketTime(day, MARKET_CLOSE).getTime() > now) {
+        day.setUTCDate(day.getUTCDate() - 1);
+    }
+    return marketTime(day, MARKET_CLOSE);
+};
+
+// Whether the regular session is running at `now`, optionally extended by `graceMs` past the close
+const isMarketOpen = (now = Date.now(), graceMs = 0) => {
+    const day = new Date(`${marketDate(new Date(now))}T00:00:00Z`);
+    if (isWeekend(day)) {
+        return false;
+    }
+    return now >= marketTime(day, MARKET_OPEN).getTime() && now < marketTime(day, MARKET_CLOSE).getTime() + graceMs;
+};
+
+module.exports = {
+    isMarketOpen,
+    lastMarketClose,
+    marketCloseAfter,
+    marketDate
+};
@@ -0,0 +1,32 @@
+// server/models/Activity.js
+
+const mongoose = require('mongoose');
+
+// Entries are dropped after this long
+const ACTIVITY_RETENTION_DAYS = 90;
+
+// One symbol added to or removed from a watchlist, and who did it (see activity.js)
+const activitySchema = new mongoose.Schema({
+    watchlist: { type: mongoose.Schema.Types.ObjectId, ref: 'Watchlist', required: true },
+    action: { type: String, enum: ['add', 'remove'], required: true },
+    symbol: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    // The list version the change made (see watchlists.js)
+    version: Number,
+    // The username is kept for display, as with annotations
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    actorName: String,
+    // Set on a change that undid an earlier one
+    undoOf: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Set once the change itself has been undone
+    undoneAt: { type: Date, default: null },
+    undoneBy: { type: String, default: null }
+}, { timestamps: true });
+
+activitySchema.index({ watchlist: 1, createdAt: -1 });
+activitySchema.index({ createdAt: 1 }, { expireAfterSeconds: ACTIVITY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Activity', activitySchema);
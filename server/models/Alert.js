@@ -0,0 +1,28 @@
+// server/models/Alert.js
+
+const mongoose = require('mongoose');
+
+// A price threshold one user watches on one symbol. Checked against the latest
+// daily bar whenever that symbol's daily bars change (see alerts.js).
+const alertSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    symbol: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    condition: { // 'above' / 'below': the close crosses `threshold`; 'change': the day's move is at least `threshold` percent either way
+        type: String,
+        required: true,
+        enum: ['above', 'below', 'change']
+    },
+    threshold: { type: Number, required: true },
+    snoozedUntil: { type: Date, default: null }, // No triggers before this
+    lastTriggeredDate: { type: String, default: null }, // Bar date it last fired for, so it fires at most once a day
+    lastTriggeredAt: { type: Date, default: null }
+}, { timestamps: true });
+
+alertSchema.index({ symbol: 1 });
+alertSchema.index({ owner: 1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
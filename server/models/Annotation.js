@@ -0,0 +1,29 @@
+// server/models/Annotation.js
+
+const mongoose = require('mongoose');
+
+// A trendline, horizontal level or note drawn on one symbol of a watchlist and
+// shared with everyone viewing that list (see annotations.js)
+const annotationSchema = new mongoose.Schema({
+    watchlist: { type: mongoose.Schema.Types.ObjectId, ref: 'Watchlist', required: true },
+    symbol: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    kind: { type: String, enum: ['trendline', 'level', 'note'], required: true },
+    // Two for a trendline, one for a level or note. Prices are the symbol's own, as traded.
+    points: [{
+        _id: false,
+        date: String, // A bar's date, as the chart labels it
+        price: Number
+    }],
+    text: { type: String, default: '' }, // A note's text, or an optional label
+    // Only the author edits or deletes it; the username is kept for display
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    authorName: String
+}, { timestamps: true });
+
+annotationSchema.index({ watchlist: 1, symbol: 1 });
+
+module.exports = mongoose.model('Annotation', annotationSchema);
@@ -0,0 +1,22 @@
+// server/models/CustomSeries.js
+
+const mongoose = require('mongoose');
+const barSchema = require('./barSchema');
+
+// Daily bars uploaded as CSV under a symbol of the uploader's choosing, for
+// instruments the provider doesn't cover (internal benchmarks, delisted tickers).
+// While one exists, it is what every client sees for that symbol.
+const customSeriesSchema = new mongoose.Schema({
+    symbol: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true
+    },
+    name: { type: String, default: '' }, // What it is, e.g. "Internal benchmark"
+    currency: { type: String, default: 'USD' }, // What the prices are in
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Only the uploader replaces or deletes it
+    bars: [barSchema] // Daily, sorted oldest first
+}, { timestamps: true });
+
+module.exports = mongoose.model('CustomSeries', customSeriesSchema);
@@ -0,0 +1,22 @@
+// server/models/FxRate.js
+
+const mongoose = require('mongoose');
+
+// Cached daily exchange rates for one currency, in US dollars per unit, so any
+// two currencies convert through USD (see fxRates.js)
+const fxRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true
+    },
+    rates: [{
+        _id: false,
+        date: String, // YYYY-MM-DD
+        rate: Number
+    }], // Sorted oldest first
+    lastFetchedAt: Date
+});
+
+module.exports = mongoose.model('FxRate', fxRateSchema);
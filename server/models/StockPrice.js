@@ -0,0 +1,27 @@
+// server/models/StockPrice.js
+
+const mongoose = require('mongoose');
+const barSchema = require('./barSchema');
+
+// Cached price history for one symbol at one interval. Kept apart from the
+// watchlists, so it survives a symbol being removed from every list and re-added.
+const stockPriceSchema = new mongoose.Schema({
+    symbol: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    interval: {
+        type: String,
+        required: true,
+        default: 'daily' // '5min', '30min', 'daily', 'weekly' or 'monthly'
+    },
+    bars: [barSchema], // Sorted oldest first
+    hasFullHistory: { type: Boolean, default: false }, // Whether a full (not compact) fetch has been merged in
+    lastFetchedAt: Date, // Last history fetch
+    lastQuoteAt: Date // Last live quote that changed a bar
+});
+
+stockPriceSchema.index({ symbol: 1, interval: 1 }, { unique: true });
+
+module.exports = mongoose.model('StockPrice', stockPriceSchema);
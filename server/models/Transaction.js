@@ -0,0 +1,27 @@
+// server/models/Transaction.js
+
+const mongoose = require('mongoose');
+
+// One buy or sell in a user's portfolio. Holdings and P&L are always computed
+// from the full list (see portfolio.js), never stored.
+const transactionSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    symbol: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    side: {
+        type: String,
+        required: true,
+        enum: ['buy', 'sell']
+    },
+    date: { type: String, required: true }, // YYYY-MM-DD, the trade date
+    quantity: { type: Number, required: true },
+    price: { type: Number, required: true }, // Per share
+    fees: { type: Number, default: 0 }
+}, { timestamps: true });
+
+transactionSchema.index({ owner: 1, date: 1 });
+
+module.exports = mongoose.model('Transaction', transactionSchema);
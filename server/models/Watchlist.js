@@ -0,0 +1,41 @@
+// server/models/Watchlist.js
+
+const mongoose = require('mongoose');
+
+// A named, shareable list of symbols. Clients viewing the same watchlist share
+// a Socket.IO room, so edits only reach that list's viewers.
+const watchlistSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // URL-safe identifier derived from the name; what share links and socket rooms use
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true
+    },
+    // In display order
+    symbols: [{
+        type: String,
+        uppercase: true
+    }],
+    // Bumped by every symbol added or removed, so clients can tell which changes they have seen
+    version: { type: Number, default: 0 },
+    // The latest changes, oldest first, for catching reconnecting clients up (see watchlists.js)
+    changes: [{
+        _id: false,
+        version: Number,
+        action: { type: String, enum: ['add', 'remove'] },
+        symbol: String
+    }],
+    // Access: the owner manages the list, editors add and remove symbols, viewers only watch.
+    // Lists without an owner (the default list) are open to every signed-in user.
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    editors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    viewers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+}, { timestamps: true });
+
+module.exports = mongoose.model('Watchlist', watchlistSchema);
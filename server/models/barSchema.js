@@ -0,0 +1,19 @@
+// server/models/barSchema.js
+
+const mongoose = require('mongoose');
+
+// One bar, stored exactly as fetchStockData returns it
+const barSchema = new mongoose.Schema({
+    date: { type: String, required: true }, // YYYY-MM-DD (YYYY-MM-DD HH:MM:SS intraday), as the provider reports it
+    open: Number,
+    high: Number,
+    low: Number,
+    close: Number,
+    volume: Number,
+    // Corporate actions, from providers that report them (see bars.js)
+    adjustedClose: Number,
+    dividend: Number,
+    splitCoefficient: Number
+}, { _id: false });
+
+module.exports = barSchema;
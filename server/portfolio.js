@@ -0,0 +1,172 @@
+// server/portfolio.js
+
+const {
+    fx: { conversionRate },
+    portfolio: { computeHoldings, findOversell, portfolioValueSeries }
+} = require('stock-chart-shared');
+const Transaction = require('./models/Transaction');
+const { getUsdRates, isValidCurrency } = require('./fxRates');
+const { getStockData } = require('./priceCache');
+const { RANGES } = require('./ranges');
+const { ACTION_ERRORS } = require('./stockActions');
+const { currencyOf, isValidSymbol } = require('./symbols');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The shape clients see, and what the shared calculations take
+const toTransaction = (transaction) => ({
+    id: transaction._id.toString(),
+    symbol: transaction.symbol,
+    side: transaction.side,
+    date: transaction.date,
+    quantity: transaction.quantity,
+    price: transaction.price,
+    fees: transaction.fees
+});
+
+// Oldest first; same-day transactions in the order they were entered
+const listTransactions = async (userId) => {
+    const transactions = await Transaction.find({ owner: userId }).sort({ date: 1, createdAt: 1 }).lean();
+    return transactions.map(toTransaction);
+};
+
+// Returns an error message for a malformed transaction, or null
+const validateTransaction = ({ symbol, side, date, quantity, price, fees }) => {
+    if (!isValidSymbol(symbol)) {
+        return `"${symbol}" is not a valid stock symbol.`;
+    }
+    if (side !== 'buy' && side !== 'sell') {
+        return 'A transaction is either a buy or a sell.';
+    }
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+        return 'The trade date must be YYYY-MM-DD.';
+    }
+    if (date > new Date().toISOString().slice(0, 10)) {
+        return 'The trade date cannot be in the future.';
+    }
+    if (!(quantity > 0)) {
+        return 'The quantity must be a positive number.';
+    }
+    if (!(price >= 0) || !(fees >= 0)) {
+        return 'Price and fees cannot be negative.';
+    }
+    return null;
+};
+
+// Resolves to { transaction } or { error }. Sells can't take a position below zero.
+const addTransaction = async (userId, input) => {
+    const transaction = {
+        symbol: String(input.symbol || '').trim().toUpperCase(),
+        side: input.side,
+        date: String(input.date || ''),
+        quantity: Number(input.quantity),
+        price: Number(input.price),
+        fees: Number(input.fees || 0)
+    };
+    const invalid = validateTransaction(transaction);
+    if (invalid) {
+        return { error: invalid };
+    }
+    if (findOversell([...(await listTransactions(userId)), transaction])) {
+        return { error: `You can't sell more ${transaction.symbol} than you held on ${transaction.date}.` };
+    }
+    const created = await Transaction.create({ owner: userId, ...transaction });
+    return { transaction: toTransaction(created) };
+};
+
+// Resolves to {} or { error }. A buy can't be removed if later sells depend on it.
+const deleteTransaction = async (transactionId, userId) => {
+    const transactions = await listTransactions(userId);
+    if (!transactions.some(transaction => transaction.id === transactionId)) {
+        return { error: 'No such transaction.' };
+    }
+    if (findOversell(transactions.filter(transaction => transaction.id !== transactionId))) {
+        return { error: 'Later sells depend on this buy. Remove them first.' };
+    }
+    await Transaction.deleteOne({ _id: transactionId, owner: userId });
+    return {};
+};
+
+/**
+ * A user's transactions, holdings and P&L, and the portfolio's value over `rangeKey`,
+ * all priced with the same cached bars the charts use. Holdings, totals and the value
+ * series are in `currency`: closes are converted at each bar's date and trades at their
+ * own date, with the same cached rates the chart converts with (see fxRates.js).
+ * Transactions stay as entered, in their symbol's currency (`currencies`, by symbol).
+ * Resolves to { success, data: { range, currency, currencies, transactions, holdings, totals, series } } or { error, message }.
+ */
+const getPortfolio = async (userId, rangeKey, currency = 'USD') => {
+    if (!RANGES[rangeKey]) {
+        return { error: ACTION_ERRORS.INVALID_RANGE, message: `Unknown range: ${rangeKey}` };
+    }
+    if (!isValidCurrency(currency)) {
+        return { error: ACTION_ERRORS.INVALID_INPUT, message: `"${currency}" is not a three-letter currency code.` };
+    }
+    const transactions = await listTransactions(userId);
+    const symbols = [...new Set(transactions.map(transaction => transaction.symbol))];
+    const nativeBars = {};
+    const currencies = {};
+    await Promise.all(symbols.map(async (symbol) => {
+        const result = await getStockData(symbol, undefined, rangeKey);
+        if (result.success) {
+            nativeBars[symbol] = result.data.data;
+            currencies[symbol] = result.data.currency;
+        } else {
+            console.warn(`No ${rangeKey} prices for portfolio symbol ${symbol}: ${result.message}`);
+            currencies[symbol] = await currencyOf(symbol);
+        }
+    }));
+
+    let usdRates = {};
+    if (Object.values(currencies).some(native => native !== currency)) {
+        const rates = await getUsdRates([currency, ...Object.values(currencies)]);
+        if (!rates.success) {
+            return { error: rates.error, message: `Could not load exchange rates for the portfolio: ${rates.message}` };
+        }
+        usdRates = rates.data;
+    }
+    const toBase = Object.fromEntries(symbols.map(symbol => [symbol, conversionRate(usdRates, currencies[symbol], currency)]));
+    const unconvertible = transactions.find(transaction => toBase[transaction.symbol](transaction.date) === null);
+    if (unconvertible) {
+        return {
+            error: ACTION_ERRORS.FETCH_FAILED,
+            message: `There is no ${currencies[unconvertible.symbol]} to ${currency} exchange rate as early as the ${unconvertible.symbol} transaction of ${unconvertible.date}.`
+        };
+    }
+    // Bars older than the rates are left out, as on the chart
+    const barsBySymbol = Object.fromEntries(Object.entries(nativeBars).map(([symbol, bars]) => [
+        symbol,
+        bars.flatMap(bar => {
+            const rate = toBase[symbol](bar.date);
+            return rate === null ? [] : [{ date: bar.date, close: bar.close * rate }];
+        })
+    ]));
+    const baseTransactions = transactions.map(transaction => {
+        const rate = toBase[transaction.symbol](transaction.date);
+        return { ...transaction, price: transaction.price * rate, fees: transaction.fees * rate };
+    });
+
+    const lastPrices = {};
+    Object.entries(barsBySymbol).forEach(([symbol, bars]) => {
+        if (bars.length > 0) {
+            lastPrices[symbol] = bars[bars.length - 1].close;
+        }
+    });
+    return {
+        success: true,
+        data: {
+            range: rangeKey,
+            currency,
+            currencies,
+            transactions,
+            ...computeHoldings(baseTransactions, lastPrices),
+            series: portfolioValueSeries(baseTransactions, barsBySymbol)
+        }
+    };
+};
+
+module.exports = {
+    addTransaction,
+    deleteTransaction,
+    getPortfolio
+};
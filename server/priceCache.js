@@ -0,0 +1,201 @@
+// server/priceCache.js
+
+const StockPrice = require('./models/StockPrice');
+const { customStockData, findCustomSeries } = require('./customSeries');
+const { fetchStockData } = require('./providers');
+const { isMarketOpen, lastMarketClose, marketCloseAfter } = require('./marketHours');
+const { DEFAULT_RANGE_KEY, RANGES, isIntraday, trimToRange } = require('./ranges');
+const { currencyOf } = require('./symbols');
+
+// Daily bars are published a little after the closing bell
+const CLOSE_SETTLE_MS = 30 * 60 * 1000;
+// If we already asked after the close and got nothing newer (holiday, late publish), wait this long before asking again
+const RETRY_AFTER_MS = 60 * 60 * 1000;
+// Intraday series move during the session, so they are only reused briefly while it runs
+const INTRADAY_TTL_MS = 5 * 60 * 1000;
+// Intraday history kept in the cache; the longest intraday range needs far less
+const INTRADAY_KEEP = { lookback: { tradingDays: 30 } };
+
+const fetchedAt = (cached) => (cached.lastFetchedAt ? new Date(cached.lastFetchedAt).getTime() : 0);
+
+// A cached daily/weekly/monthly series is fresh until the market close that
+// follows its last bar has passed. Intraday series are fresh for a few minutes
+// during the session, and until the next session once fetched after the close.
+const isCacheFresh = (cached, range, now = Date.now()) => {
+    if (!cached || !cached.bars || cached.bars.length === 0) {
+        return false;
+    }
+    if (range.full && !cached.hasFullHistory) {
+        return false;
+    }
+
+    if (isIntraday(range.interval)) {
+        if (now - fetchedAt(cached) < INTRADAY_TTL_MS) {
+            return true;
+        }
+        return !isMarketOpen(now, CLOSE_SETTLE_MS) && fetchedAt(cached) >= lastMarketClose(now).getTime() + CLOSE_SETTLE_MS;
+    }
+
+    const lastBar = cached.bars[cached.bars.length - 1];
+    const refreshDue = marketCloseAfter(lastBar.date.slice(0, 10)).getTime() + CLOSE_SETTLE_MS;
+    if (now < refreshDue) {
+        return true;
+    }
+    return fetchedAt(cached) >= refreshDue && now - fetchedAt(cached) < RETRY_AFTER_MS;
+};
+
+// A new split or dividend changes every earlier adjusted close. When fetched bars
+// overlap the stored ones, rescale the stored bars before the overlap by how far
+// the first overlapping adjusted close moved, so a compact fetch doesn't leave a
+// step in the adjusted series.
+const rebaseAdjusted = (existingBars, newBars) => {
+    const first = newBars[0];
+    const stored = first && existingBars.find(bar => bar.date === first.date);
+    if (!stored || !stored.adjustedClose || !first.adjustedClose || stored.adjustedClose === first.adjustedClose) {
+        return existingBars;
+    }
+    const ratio = first.adjustedClose / stored.adjustedClose;
+    return existingBars.map(bar => (
+        bar.date < first.date && bar.adjustedClose ? { ...bar, adjustedClose: bar.adjustedClose * ratio } : bar
+    ));
+};
+
+// Merge freshly fetched bars into the stored history, newer values winning on the same date
+const mergeBars = (existingBars, newBars) => {
+    const byDate = new Map();
+    rebaseAdjusted(existingBars, newBars).forEach(bar => byDate.set(bar.date, bar));
+    newBars.forEach(bar => byDate.set(bar.date, bar));
+    return Array.from(byDate.values()).sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+const sameBar = (a, b) => ['open', 'high', 'low', 'close', 'volume'].every(field => a[field] === b[field]);
+
+// When the cached series last received new prices, from a full fetch or a live quote
+const lastUpdatedAt = (cached) => {
+    const times = [cached.lastFetchedAt, cached.lastQuoteAt].filter(Boolean).map(time => new Date(time).getTime());
+    return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+};
+
+// Called with (symbol, bars) whenever a symbol's cached daily series gains or changes bars
+const dailyBarListeners = [];
+const onDailyBars = (listener) => {
+    dailyBarListeners.push(listener);
+};
+const notifyDailyBars = (symbol, bars) => {
+    dailyBarListeners.forEach(listener => {
+        Promise.resolve()
+            .then(() => listener(symbol, bars))
+            .catch(error => console.error(`Error handling new daily bars for ${symbol}:`, error));
+    });
+};
+
+const toStockData = (symbol, currency, cached, rangeKey) => ({
+    symbol,
+    currency,
+    range: rangeKey,
+    interval: RANGES[rangeKey].interval,
+    updatedAt: lastUpdatedAt(cached),
+    data: trimToRange(cached.bars, RANGES[rangeKey])
+        .map(({ date, open, high, low, close, volume, adjustedClose, dividend, splitCoefficient }) => ({
+            date, open, high, low, close, volume,
+            ...(adjustedClose !== undefined ? { adjustedClose, dividend, splitCoefficient } : {})
+        }))
+});
+
+// Same contract as fetchStockData ({ success, data } or { error, message }),
+// but only asks the provider when the cached series is stale. `onProgress`
+// is passed through to the request queue. `rangeKey` is one of the RANGES keys.
+// Symbols with an imported series (see customSeries.js) are served from it instead.
+const getStockData = async (symbol, onProgress, rangeKey = DEFAULT_RANGE_KEY) => {
+    const range = RANGES[rangeKey];
+    const custom = await findCustomSeries(symbol);
+    if (custom) {
+        return customStockData(custom, rangeKey);
+    }
+    const currency = await currencyOf(symbol);
+    const cached = await StockPrice.findOne({ symbol, interval: range.interval }).lean();
+    if (isCacheFresh(cached, range)) {
+        return { success: true, data: toStockData(symbol, currency, cached, rangeKey) };
+    }
+
+    const result = await fetchStockData(symbol, { interval: range.interval, full: range.full }, onProgress);
+    if (!result.success) {
+        if (cached && cached.bars.length > 0) {
+            // Serve the last known history rather than nothing (e.g. while rate limited)
+            console.warn(`Serving stale cached ${range.interval} data for ${symbol}: ${result.message}`);
+            return { success: true, data: toStockData(symbol, currency, cached, rangeKey) };
+        }
+        return result;
+    }
+
+    let bars = mergeBars(cached ? cached.bars : [], result.data.data);
+    if (isIntraday(range.interval)) {
+        bars = trimToRange(bars, INTRADAY_KEEP);
+    }
+    const updated = {
+        ...cached,
+        bars,
+        hasFullHistory: Boolean(range.full || (cached && cached.hasFullHistory)),
+        lastFetchedAt: new Date()
+    };
+    await StockPrice.updateOne(
+        { symbol, interval: range.interval },
+        { $set: { bars: updated.bars, hasFullHistory: updated.hasFullHistory, lastFetchedAt: updated.lastFetchedAt } },
+        { upsert: true }
+    );
+    const previousLast = cached && cached.bars[cached.bars.length - 1];
+    const last = bars[bars.length - 1];
+    if (range.interval === 'daily' && last && (!previousLast || previousLast.date !== last.date || !sameBar(previousLast, last))) {
+        notifyDailyBars(symbol, bars);
+    }
+    return { success: true, data: toStockData(symbol, currency, updated, rangeKey) };
+};
+
+// Merge live daily bars (e.g. today's bar from a quote) into a symbol's cached
+// history. Resolves to the bars that were new or differed from what was stored.
+const applyBarUpdates = async (symbol, bars) => {
+    const cached = await StockPrice.findOne({ symbol, interval: 'daily' }).lean();
+    const existingBars = cached ? cached.bars : [];
+    const storedByDate = new Map(existingBars.map(bar => [bar.date, bar]));
+    // Quotes carry no corporate actions, so a bar they update keeps the stored ones
+    const changedBars = bars
+        .filter(bar => !storedByDate.has(bar.date) || !sameBar(storedByDate.get(bar.date), bar))
+        .map(bar => {
+            const stored = storedByDate.get(bar.date);
+            if (!stored || stored.adjustedClose === undefined || bar.adjustedClose !== undefined) {
+                return bar;
+            }
+            return {
+                ...bar,
+                adjustedClose: bar.close * (stored.adjustedClose / stored.close),
+                dividend: stored.dividend,
+                splitCoefficient: stored.splitCoefficient
+            };
+        });
+
+    if (changedBars.length > 0) {
+        const merged = mergeBars(existingBars, changedBars);
+        await StockPrice.updateOne(
+            { symbol, interval: 'daily' },
+            { $set: { bars: merged, lastQuoteAt: new Date() } },
+            { upsert: true }
+        );
+        notifyDailyBars(symbol, merged);
+    }
+    return changedBars;
+};
+
+// Brings caches written before per-interval storage up to date: their
+// documents get an interval, and the old unique index on symbol is dropped.
+const initPriceCache = async () => {
+    await StockPrice.updateMany({ interval: { $exists: false } }, { $set: { interval: 'daily' } });
+    await StockPrice.syncIndexes();
+};
+
+module.exports = {
+    applyBarUpdates,
+    getStockData,
+    initPriceCache,
+    isCacheFresh,
+    onDailyBars
+};
@@ -0,0 +1,67 @@
+// server/pricePoller.js
+
+// Refreshes quotes for every tracked symbol while the market is open and
+// pushes the bars that changed as `priceUpdate` events, only to the rooms of
+// the watchlists holding each symbol so private lists stay private.
+
+const { fetchQuote } = require('./providers');
+const { applyBarUpdates } = require('./priceCache');
+const { isMarketOpen } = require('./marketHours');
+
+// Keep polling a little past the bell so the closing price makes it in
+const AFTER_CLOSE_GRACE_MS = 20 * 60 * 1000;
+
+const pollOnce = async (io, listSymbols, roomsFor) => {
+    const symbols = await listSymbols();
+    // Sequential on purpose: the request queue paces the provider calls anyway,
+    // and this keeps a poll round from crowding out clients adding symbols.
+    for (const symbol of symbols) {
+        const result = await fetchQuote(symbol);
+        if (!result.success) {
+            console.warn(`Price poll failed for ${symbol}: ${result.message}`);
+            continue;
+        }
+        const changedBars = await applyBarUpdates(symbol, [result.data]);
+        const rooms = changedBars.length > 0 ? await roomsFor(symbol) : [];
+        if (rooms.length > 0) {
+            io.to(rooms).emit('priceUpdate', { symbol, bars: changedBars, updatedAt: new Date().toISOString() });
+        }
+    }
+};
+
+/**
+ * Starts the polling loop. Rounds never overlap: the next one is scheduled
+ * `intervalMs` after the previous one finishes.
+ * @param {import('socket.io').Server} io
+ * @param {() => Promise<string[]>} listSymbols Symbols to refresh each round
+ * @param {(symbol: string) => Promise<string[]>} roomsFor Socket.IO rooms to send a symbol's updates to
+ * @param {number} intervalMs
+ * @returns {() => void} Stops the loop
+ */
+const startPricePoller = (io, listSymbols, roomsFor, intervalMs) => {
+    let timer = null;
+    let stopped = false;
+
+    const run = async () => {
+        if (isMarketOpen(Date.now(), AFTER_CLOSE_GRACE_MS)) {
+            try {
+                await pollOnce(io, listSymbols, roomsFor);
+            } catch (error) {
+                console.error('Error polling prices:', error);
+            }
+        }
+        if (!stopped) {
+            timer = setTimeout(run, intervalMs);
+        }
+    };
+
+    timer = setTimeout(run, intervalMs);
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+};
+
+module.exports = {
+    startPricePoller
+};
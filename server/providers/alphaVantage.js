@@ -0,0 +1,174 @@
+// server/providers/alphaVantage.js
+
+const axios = require('axios'); // For making HTTP requests to external APIs
+const { PROVIDER_ERRORS, providerError } = require('./errors');
+
+const BASE_URL = 'https://www.alphavantage.co/query';
+const RATE_LIMIT_MESSAGE = 'Alpha Vantage API rate limit exceeded. Please wait a minute.';
+
+const isRateLimitText = (text) => /call frequency|rate limit|thank you for using alpha vantage/i.test(text);
+// Keys without a premium plan get this notice (which also thanks you, so check it first)
+const isPremiumText = (text) => /premium endpoint/i.test(text);
+
+// Alpha Vantage keys each bar field with a numbered prefix ('1. open', ...).
+// The adjusted functions insert '5. adjusted close' and shift volume to '6. volume';
+// weekly and monthly ones report dividends but no split coefficient.
+const toBar = (date, fields) => {
+    const adjusted = fields['5. adjusted close'] !== undefined;
+    const bar = {
+        date: date,
+        open: parseFloat(fields['1. open']),
+        high: parseFloat(fields['2. high']),
+        low: parseFloat(fields['3. low']),
+        close: parseFloat(fields['4. close']),
+        volume: parseInt(fields[adjusted ? '6. volume' : '5. volume'])
+    };
+    if (adjusted) {
+        bar.adjustedClose = parseFloat(fields['5. adjusted close']);
+        bar.dividend = parseFloat(fields['7. dividend amount']) || 0;
+        bar.splitCoefficient = parseFloat(fields['8. split coefficient']) || 1;
+    }
+    return bar;
+};
+
+const toBars = (timeSeries) => Object.keys(timeSeries)
+    .map(date => toBar(date, timeSeries[date]))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+// Calls the API and handles the error shapes every Alpha Vantage function shares.
+// `label` names what is asked for in logs (the symbol, or the currency pair).
+// Resolves to { data } with the raw response, or a provider error.
+const query = async (label, params) => {
+    try {
+        const response = await axios.get(BASE_URL, {
+            params: { ...params, apikey: process.env.STOCK_API_KEY }
+        });
+        const data = response.data;
+
+        if (data['Error Message']) {
+            console.error(`Alpha Vantage Error for ${label}:`, data['Error Message']);
+            if (isRateLimitText(data['Error Message'])) {
+                return providerError(PROVIDER_ERRORS.RATE_LIMIT, RATE_LIMIT_MESSAGE);
+            }
+            // Alpha Vantage answers unknown symbols with "Invalid API call"
+            return providerError(PROVIDER_ERRORS.INVALID_SYMBOL, data['Error Message']);
+        }
+        // Rate limits on the free tier come back as a 'Note' (older keys) or 'Information' (newer keys)
+        const notice = data['Note'] || data['Information'];
+        if (notice && isPremiumText(notice)) {
+            return { ...providerError(PROVIDER_ERRORS.FETCH_FAILED, 'This data needs a premium Alpha Vantage plan.'), premium: true };
+        }
+        if (notice && isRateLimitText(notice)) {
+            console.warn(`Alpha Vantage Rate Limit Hit for ${label}. Please wait.`, notice);
+            return providerError(PROVIDER_ERRORS.RATE_LIMIT, RATE_LIMIT_MESSAGE);
+        }
+        if (Object.keys(data).length === 0) { // Sometimes an empty object is returned for invalid symbols
+            return providerError(PROVIDER_ERRORS.INVALID_SYMBOL, 'Invalid stock symbol.');
+        }
+        return { data };
+    } catch (error) {
+        console.error(`Error fetching data for ${label} from Alpha Vantage:`, error.message);
+        return providerError(PROVIDER_ERRORS.FETCH_FAILED, 'Failed to connect to stock data API.');
+    }
+};
+
+// Alpha Vantage function and response key for each interval we chart. Daily and
+// longer series come adjusted for splits and dividends where the key allows it,
+// and from `unadjusted` otherwise.
+const SERIES = {
+    '5min': { params: { function: 'TIME_SERIES_INTRADAY', interval: '5min' }, key: 'Time Series (5min)' },
+    '30min': { params: { function: 'TIME_SERIES_INTRADAY', interval: '30min' }, key: 'Time Series (30min)' },
+    'daily': {
+        params: { function: 'TIME_SERIES_DAILY_ADJUSTED' },
+        key: 'Time Series (Daily)',
+        unadjusted: { params: { function: 'TIME_SERIES_DAILY' }, key: 'Time Series (Daily)' }
+    },
+    'weekly': {
+        params: { function: 'TIME_SERIES_WEEKLY_ADJUSTED' },
+        key: 'Weekly Adjusted Time Series',
+        unadjusted: { params: { function: 'TIME_SERIES_WEEKLY' }, key: 'Weekly Time Series' }
+    },
+    'monthly': {
+        params: { function: 'TIME_SERIES_MONTHLY_ADJUSTED' },
+        key: 'Monthly Adjusted Time Series',
+        unadjusted: { params: { function: 'TIME_SERIES_MONTHLY' }, key: 'Monthly Time Series' }
+    }
+};
+
+// Set once the key turns out not to have the adjusted functions, so later fetches skip straight
+// to the unadjusted ones (the one retry that finds out costs an extra call outside the queue's count)
+let adjustedUnavailable = false;
+
+const fetchBars = async (symbol, range) => {
+    let series = SERIES[range.interval];
+    if (adjustedUnavailable && series.unadjusted) {
+        series = series.unadjusted;
+    }
+    const outputsize = range.full ? 'full' : 'compact';
+    let result = await query(symbol, { ...series.params, symbol, outputsize });
+    if (result.premium && series.unadjusted) {
+        console.warn('Adjusted series need a premium Alpha Vantage key; charting unadjusted prices instead.');
+        adjustedUnavailable = true;
+        series = series.unadjusted;
+        result = await query(symbol, { ...series.params, symbol, outputsize });
+    }
+    if (result.error) {
+        return result;
+    }
+    if (!result.data[series.key]) {
+        console.warn(`No ${range.interval} time series data found for ${symbol}. API response:`, result.data);
+        return providerError(PROVIDER_ERRORS.NO_DATA, 'No historical data found for this symbol. It might be invalid or not traded.');
+    }
+    return { success: true, data: { symbol, data: toBars(result.data[series.key]) } };
+};
+
+// Today's bar so far, from GLOBAL_QUOTE
+const fetchQuote = async (symbol) => {
+    const result = await query(symbol, { function: 'GLOBAL_QUOTE', symbol });
+    if (result.error) {
+        return result;
+    }
+    const quote = result.data['Global Quote'];
+    if (!quote || !quote['07. latest trading day']) { // Unknown symbols get an empty quote
+        return providerError(PROVIDER_ERRORS.NO_DATA, 'No quote found for this symbol.');
+    }
+    return {
+        success: true,
+        data: {
+            date: quote['07. latest trading day'],
+            open: parseFloat(quote['02. open']),
+            high: parseFloat(quote['03. high']),
+            low: parseFloat(quote['04. low']),
+            close: parseFloat(quote['05. price']),
+            volume: parseInt(quote['06. volume'])
+        }
+    };
+};
+
+// Daily closing rates from FX_DAILY, as units of `to` per unit of `from`
+const fetchFxRates = async (from, to) => {
+    const result = await query(`${from}/${to}`, { function: 'FX_DAILY', from_symbol: from, to_symbol: to, outputsize: 'full' });
+    if (result.error) {
+        return result;
+    }
+    const timeSeries = result.data['Time Series FX (Daily)'];
+    if (!timeSeries) {
+        console.warn(`No exchange rates found for ${from}/${to}. API response:`, result.data);
+        return providerError(PROVIDER_ERRORS.NO_DATA, `No exchange rates found for ${from}/${to}.`);
+    }
+    return {
+        success: true,
+        data: Object.keys(timeSeries)
+            .map(date => ({ date, rate: parseFloat(timeSeries[date]['4. close']) }))
+            .sort((a, b) => a.date.localeCompare(b.date))
+    };
+};
+
+module.exports = {
+    name: 'alphavantage',
+    // Free tier quota
+    rateLimits: { perMinute: 5, perDay: 500 },
+    fetchBars,
+    fetchFxRates,
+    fetchQuote
+};
@@ -0,0 +1,17 @@
+// server/providers/errors.js
+
+// Error codes every provider reports failures with. The socket handlers map
+// these onto client events, so adapters must not invent new ones.
+const PROVIDER_ERRORS = {
+    RATE_LIMIT: 'RATE_LIMIT',
+    INVALID_SYMBOL: 'INVALID_SYMBOL',
+    NO_DATA: 'NO_DATA',
+    FETCH_FAILED: 'FETCH_FAILED'
+};
+
+const providerError = (error, message) => ({ error, message });
+
+module.exports = {
+    PROVIDER_ERRORS,
+    providerError
+};
@@ -0,0 +1,168 @@
+// server/providers/fixture.js
+
+// Offline provider backed by CSV files, one per symbol (<SYMBOL>.csv with a
+// date,open,high,low,close,volume header, and optionally dividend and
+// split_coefficient columns). Costs no API quota, so it is what local
+// development and tests should run against.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { PROVIDER_ERRORS, providerError } = require('./errors');
+const { toInterval, withAdjustedCloses } = require('../bars');
+
+const FIXTURE_DIR = process.env.FIXTURE_DATA_DIR || path.join(__dirname, '..', 'fixtures');
+// Mirrors Alpha Vantage's outputsize=compact
+const COMPACT_BAR_COUNT = 100;
+// Intraday bars are made up from the daily ones, for this many of the latest days
+const INTRADAY_DAYS = 30;
+const SESSION_OPEN_MINUTE = 9 * 60 + 30;
+const SESSION_MINUTES = 390;
+
+const parseCsv = (text) => {
+    const [header, ...rows] = text.trim().split(/\r?\n/);
+    const columns = header.split(',').map(column => column.trim().toLowerCase());
+    return rows.filter(row => row.trim()).map(row => {
+        const values = row.split(',');
+        const record = {};
+        columns.forEach((column, i) => { record[column] = values[i] && values[i].trim(); });
+        return {
+            date: record.date,
+            open: parseFloat(record.open),
+            high: parseFloat(record.high),
+            low: parseFloat(record.low),
+            close: parseFloat(record.close),
+            volume: parseInt(record.volume),
+            dividend: parseFloat(record.dividend) || 0,
+            splitCoefficient: parseFloat(record.split_coefficient) || 1
+        };
+    }).sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+// Resolves to { bars } for the symbol's whole file, or a provider error
+const readBars = async (symbol) => {
+    // Symbols are used as file names, so never let one walk out of the fixture directory
+    if (!/^[A-Z0-9.-]+$/.test(symbol)) {
+        return providerError(PROVIDER_ERRORS.INVALID_SYMBOL, 'Invalid stock symbol.');
+    }
+
+    let text;
+    try {
+        text = await fs.readFile(path.join(FIXTURE_DIR, `${symbol}.csv`), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return providerError(PROVIDER_ERRORS.INVALID_SYMBOL, 'Invalid stock symbol.');
+        }
+        console.error(`Error reading fixture data for ${symbol}:`, error.message);
+        return providerError(PROVIDER_ERRORS.FETCH_FAILED, 'Failed to read fixture data.');
+    }
+
+    const bars = withAdjustedCloses(parseCsv(text));
+    if (bars.length === 0) {
+        return providerError(PROVIDER_ERRORS.NO_DATA, 'No historical data found for this symbol. It might be invalid or not traded.');
+    }
+    return { bars };
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// Deterministic intraday path through one daily bar: drifts from open to
+// close with a wiggle that stays inside the day's high/low.
+const synthesizeIntraday = (dailyBar, stepMinutes) => {
+    const count = SESSION_MINUTES / stepMinutes;
+    const bars = [];
+    let previousClose = dailyBar.open;
+    for (let i = 0; i < count; i++) {
+        const progress = (i + 1) / count;
+        const wiggle = Math.sin(progress * Math.PI * 3) * (dailyBar.high - dailyBar.low) / 4;
+        const close = round2(Math.min(dailyBar.high, Math.max(dailyBar.low,
+            dailyBar.open + (dailyBar.close - dailyBar.open) * progress + wiggle)));
+        const minute = SESSION_OPEN_MINUTE + i * stepMinutes;
+        bars.push({
+            date: `${dailyBar.date} ${pad2(Math.floor(minute / 60))}:${pad2(minute % 60)}:00`,
+            open: previousClose,
+            high: Math.max(previousClose, close),
+            low: Math.min(previousClose, close),
+            close,
+            volume: Math.round(dailyBar.volume / count)
+        });
+        previousClose = close;
+    }
+    return bars;
+};
+
+const intraday = (stepMinutes) => (bars) => bars.slice(-INTRADAY_DAYS).flatMap(bar => synthesizeIntraday(bar, stepMinutes));
+
+// How each interval is derived from the daily file
+const SERIES = {
+    '5min': intraday(5),
+    '30min': intraday(30),
+    'daily': (bars) => bars,
+    'weekly': (bars) => toInterval(bars, 'weekly'),
+    'monthly': (bars) => toInterval(bars, 'monthly')
+};
+
+const fetchBars = async (symbol, range) => {
+    const result = await readBars(symbol);
+    if (result.error) {
+        return result;
+    }
+    const bars = SERIES[range.interval](result.bars);
+    return {
+        success: true,
+        data: { symbol, data: range.full ? bars : bars.slice(-COMPACT_BAR_COUNT) }
+    };
+};
+
+// Made-up exchange rates, in US dollars per unit, that the fixture provider wiggles around
+const FIXTURE_USD_RATES = {
+    USD: 1,
+    EUR: 1.08,
+    GBP: 1.27,
+    JPY: 0.0068,
+    CHF: 1.12,
+    CAD: 0.74,
+    AUD: 0.66,
+    HKD: 0.128,
+    CNY: 0.14,
+    INR: 0.012
+};
+const FX_HISTORY_YEARS = 5;
+
+// Deterministic daily rates for every weekday of the last few years
+const fetchFxRates = async (from, to) => {
+    if (!FIXTURE_USD_RATES[from] || !FIXTURE_USD_RATES[to]) {
+        return providerError(PROVIDER_ERRORS.INVALID_SYMBOL, `No fixture exchange rates for ${from}/${to}.`);
+    }
+    const rates = [];
+    const day = new Date();
+    day.setUTCFullYear(day.getUTCFullYear() - FX_HISTORY_YEARS);
+    for (let i = 0; day.getTime() <= Date.now(); i++, day.setUTCDate(day.getUTCDate() + 1)) {
+        if (day.getUTCDay() === 0 || day.getUTCDay() === 6) {
+            continue;
+        }
+        const wiggle = 1 + 0.04 * Math.sin(i / 60);
+        rates.push({
+            date: day.toISOString().slice(0, 10),
+            rate: Math.round((FIXTURE_USD_RATES[from] / FIXTURE_USD_RATES[to]) * wiggle * 1e6) / 1e6
+        });
+    }
+    return { success: true, data: rates };
+};
+
+// The last bar in the file stands in for a live quote
+const fetchQuote = async (symbol) => {
+    const result = await readBars(symbol);
+    if (result.error) {
+        return result;
+    }
+    return { success: true, data: result.bars[result.bars.length - 1] };
+};
+
+module.exports = {
+    name: 'fixture',
+    rateLimits: {},
+    fetchBars,
+    fetchFxRates,
+    fetchQuote
+};
@@ -0,0 +1,78 @@
+// server/providers/index.js
+
+// Market data provider layer. Every provider exposes
+//   fetchBars(symbol, range) -> { success: true, data: { symbol, data: [{ date, open, high, low, close, volume }] } }
+//                             | { error: <PROVIDER_ERRORS code>, message }
+//   fetchQuote(symbol)       -> { success: true, data: { date, open, high, low, close, volume } } for the latest
+//                               trading day so far, or an error as above
+//   fetchFxRates(from, to)   -> { success: true, data: [{ date, rate }] } with the daily closing rate (units of
+//                               `to` per unit of `from`) over all the history it has, or an error as above
+// with bars sorted oldest first. Daily and longer bars may also carry adjustedClose,
+// dividend and splitCoefficient (see bars.js). Providers may declare
+// `rateLimits: { perMinute, perDay }`.
+// MARKET_DATA_PROVIDER picks which one the server uses. Every call goes through
+// one shared request queue so the provider's limits hold across all sockets.
+
+const alphaVantage = require('./alphaVantage');
+const fixture = require('./fixture');
+const { PROVIDER_ERRORS, providerError } = require('./errors');
+const { createRequestQueue } = require('../requestQueue');
+
+const providers = {
+    [alphaVantage.name]: alphaVantage,
+    [fixture.name]: fixture
+};
+
+const providerName = (process.env.MARKET_DATA_PROVIDER || alphaVantage.name).toLowerCase();
+const provider = providers[providerName];
+if (!provider) {
+    throw new Error(`Unknown MARKET_DATA_PROVIDER "${providerName}". Expected one of: ${Object.keys(providers).join(', ')}`);
+}
+
+// Past this, a caller is better off being told to come back later than waiting on a socket
+const MAX_QUEUE_WAIT_MS = 10 * 60 * 1000;
+
+const limitFromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const requestQueue = createRequestQueue({
+    perMinute: limitFromEnv('PROVIDER_CALLS_PER_MINUTE', provider.rateLimits.perMinute || Infinity),
+    perDay: limitFromEnv('PROVIDER_CALLS_PER_DAY', provider.rateLimits.perDay || Infinity),
+    maxWaitMs: MAX_QUEUE_WAIT_MS,
+    shouldRetry: (result) => result.error === PROVIDER_ERRORS.RATE_LIMIT,
+    onRejected: (key, waitMs) => providerError(
+        PROVIDER_ERRORS.RATE_LIMIT,
+        `API quota used up. Try again in about ${Math.ceil(waitMs / 60000)} minute(s).`
+    )
+});
+
+const rangeKey = (range) => `${range.interval}${range.full ? ':full' : ''}`;
+
+/**
+ * Queued, coalesced call to the active provider.
+ * @param {string} symbol
+ * @param {{ interval: string, full: boolean }} range Series to fetch: interval is one of
+ *   '5min', '30min', 'daily', 'weekly', 'monthly'; full asks for all history instead of the latest ~100 bars
+ * @param {(progress: { position: number, estimatedWaitMs: number }) => void} [onProgress] Called while the call waits in the queue
+ */
+const fetchStockData = (symbol, range, onProgress) => requestQueue.enqueue(
+    `${symbol}:${rangeKey(range)}`,
+    () => provider.fetchBars(symbol, range),
+    onProgress
+);
+
+// Queued, coalesced latest-bar quote from the active provider
+const fetchQuote = (symbol) => requestQueue.enqueue(`${symbol}:quote`, () => provider.fetchQuote(symbol));
+
+// Queued, coalesced daily exchange rates from the active provider
+const fetchFxRates = (from, to) => requestQueue.enqueue(`fx:${from}/${to}`, () => provider.fetchFxRates(from, to));
+
+module.exports = {
+    PROVIDER_ERRORS,
+    fetchFxRates,
+    fetchQuote,
+    fetchStockData,
+    providerName
+};
@@ -0,0 +1,50 @@
+// server/ranges.js
+
+// Chart ranges the client can ask for, and which provider series backs each.
+// `interval` picks the series, `full` whether its whole history is needed,
+// and `lookback` how much of it (counted back from the latest bar) is served.
+
+const RANGES = {
+    '1D': { interval: '5min', full: false, lookback: { tradingDays: 1 } },
+    '5D': { interval: '30min', full: false, lookback: { tradingDays: 5 } },
+    '1M': { interval: 'daily', full: false, lookback: { months: 1 } },
+    '6M': { interval: 'daily', full: true, lookback: { months: 6 } },
+    '1Y': { interval: 'daily', full: true, lookback: { months: 12 } },
+    '5Y': { interval: 'weekly', full: true, lookback: { months: 60 } },
+    'MAX': { interval: 'monthly', full: true, lookback: null }
+};
+
+const DEFAULT_RANGE_KEY = '6M';
+
+const INTRADAY_INTERVALS = ['5min', '30min'];
+
+const isIntraday = (interval) => INTRADAY_INTERVALS.includes(interval);
+
+// Bars are keyed 'YYYY-MM-DD' (or 'YYYY-MM-DD HH:MM:SS' intraday); the day part is all we compare on
+const dayOf = (date) => date.slice(0, 10);
+
+// The tail of `bars` (sorted oldest first) that falls inside the range's lookback
+const trimToRange = (bars, range) => {
+    if (!range.lookback || bars.length === 0) {
+        return bars;
+    }
+    const lastDay = dayOf(bars[bars.length - 1].date);
+
+    if (range.lookback.tradingDays) {
+        const days = [...new Set(bars.map(bar => dayOf(bar.date)))];
+        const firstDay = days[Math.max(0, days.length - range.lookback.tradingDays)];
+        return bars.filter(bar => dayOf(bar.date) >= firstDay);
+    }
+
+    const cutoff = new Date(`${lastDay}T00:00:00Z`);
+    cutoff.setUTCMonth(cutoff.getUTCMonth() - range.lookback.months);
+    const firstDay = cutoff.toISOString().slice(0, 10);
+    return bars.filter(bar => dayOf(bar.date) > firstDay);
+};
+
+module.exports = {
+    DEFAULT_RANGE_KEY,
+    RANGES,
+    isIntraday,
+    trimToRange
+};
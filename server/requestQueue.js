@@ -0,0 +1,162 @@
+// server/requestQueue.js
+
+// Central scheduler for outbound provider calls. Two token buckets (per
+// minute and per day) gate how fast jobs start; jobs with the same key share
+// one call; everything else waits its turn in FIFO order instead of failing.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const createBucket = (capacity, periodMs) => ({
+    capacity,
+    tokens: capacity,
+    ratePerMs: capacity / periodMs
+});
+
+// Milliseconds until `bucket` holds `count` tokens (0 if it already does)
+const msUntilTokens = (bucket, count) => {
+    if (bucket.tokens >= count) {
+        return 0;
+    }
+    return Math.ceil((count - bucket.tokens) / bucket.ratePerMs);
+};
+
+/**
+ * @param {object} options
+ * @param {number} [options.perMinute=Infinity] Calls allowed per rolling minute
+ * @param {number} [options.perDay=Infinity] Calls allowed per rolling day
+ * @param {number} [options.maxWaitMs=Infinity] Jobs whose estimated wait exceeds this are rejected up front
+ * @param {(result: any) => boolean} [options.shouldRetry] Put a job back at the head of the queue when its result matches (e.g. the provider still rate limited us)
+ * @param {number} [options.maxRetries=3]
+ * @param {(key: string, waitMs: number) => any} [options.onRejected] Builds the result returned for jobs rejected by maxWaitMs
+ */
+const createRequestQueue = ({
+    perMinute = Infinity,
+    perDay = Infinity,
+    maxWaitMs = Infinity,
+    shouldRetry = () => false,
+    maxRetries = 3,
+    onRejected = (key, waitMs) => { throw new Error(`Request for ${key} would wait ${waitMs}ms`); }
+} = {}) => {
+    const minuteBucket = createBucket(perMinute, MINUTE_MS);
+    const dayBucket = createBucket(perDay, DAY_MS);
+    // An unlimited bucket never gates anything, so leave it out
+    const buckets = [minuteBucket, dayBucket].filter(bucket => Number.isFinite(bucket.capacity));
+    const waiting = []; // Jobs not yet started, in start order
+    const jobsByKey = new Map(); // Waiting or running jobs, for coalescing
+    let lastRefill = Date.now();
+    let timer = null;
+
+    const refill = () => {
+        const now = Date.now();
+        const elapsed = now - lastRefill;
+        lastRefill = now;
+        buckets.forEach(bucket => {
+            bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.ratePerMs);
+        });
+    };
+
+    // Estimated wait before the job at `position` (0 = next to start) gets to run
+    const estimateWaitMs = (position) => Math.max(0, ...buckets.map(bucket => msUntilTokens(bucket, position + 1)));
+
+    const notifyProgress = () => {
+        waiting.forEach((job, position) => {
+            const progress = { key: job.key, position: position + 1, estimatedWaitMs: estimateWaitMs(position) };
+            job.listeners.forEach(listener => listener(progress));
+        });
+    };
+
+    const finish = (job, result, failed) => {
+        jobsByKey.delete(job.key);
+        if (failed) {
+            job.reject(result);
+        } else {
+            job.resolve(result);
+        }
+    };
+
+    const start = (job) => {
+        buckets.forEach(bucket => { bucket.tokens -= 1; });
+        Promise.resolve()
+            .then(job.task)
+            .then(result => {
+                if (shouldRetry(result) && job.retries < maxRetries) {
+                    // The provider disagrees with our bookkeeping: assume this minute is spent and try again first
+                    job.retries += 1;
+                    if (buckets.includes(minuteBucket)) {
+                        minuteBucket.tokens = Math.min(minuteBucket.tokens, 0);
+                    }
+                    waiting.unshift(job);
+                    schedulePump();
+                    return;
+                }
+                finish(job, result, false);
+            }, error => finish(job, error, true));
+    };
+
+    const pump = () => {
+        timer = null;
+        refill();
+        while (waiting.length > 0 && buckets.every(bucket => bucket.tokens >= 1)) {
+            start(waiting.shift());
+        }
+        notifyProgress();
+        if (waiting.length > 0) {
+            schedulePump();
+        }
+    };
+
+    function schedulePump() {
+        if (timer) {
+            return;
+        }
+        refill();
+        timer = setTimeout(pump, estimateWaitMs(0));
+    }
+
+    /**
+     * Runs `task` once tokens allow. Calls sharing `key` while one is queued or
+     * running get the same promise instead of a second call.
+     * @param {string} key
+     * @param {() => Promise<any>} task
+     * @param {(progress: { key: string, position: number, estimatedWaitMs: number }) => void} [onProgress]
+     */
+    const enqueue = (key, task, onProgress) => {
+        const existing = jobsByKey.get(key);
+        if (existing) {
+            if (onProgress) {
+                existing.listeners.push(onProgress);
+                const position = waiting.indexOf(existing);
+                if (position !== -1) {
+                    onProgress({ key, position: position + 1, estimatedWaitMs: estimateWaitMs(position) });
+                }
+            }
+            return existing.promise;
+        }
+
+        refill();
+        const waitMs = estimateWaitMs(waiting.length);
+        if (waitMs > maxWaitMs) {
+            return Promise.resolve(onRejected(key, waitMs));
+        }
+
+        const job = { key, task, retries: 0, listeners: onProgress ? [onProgress] : [] };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        jobsByKey.set(key, job);
+        waiting.push(job);
+        pump();
+        return job.promise;
+    };
+
+    return {
+        enqueue,
+        size: () => waiting.length
+    };
+};
+
+module.exports = {
+    createRequestQueue
+};
@@ -0,0 +1,114 @@
+// server/requestQueue.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequestQueue } = require('./requestQueue');
+
+// Let settled task promises run their callbacks (setImmediate isn't mocked)
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// A queue under mocked timers and clock, and a task factory that logs which keys started
+const setup = (t, options) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    const started = [];
+    const task = (key, result = key) => () => {
+        started.push(key);
+        return result;
+    };
+    return { queue: createRequestQueue(options), started, task };
+};
+
+test('jobs past the per-minute allowance wait for the bucket to refill', async (t) => {
+    const { queue, started, task } = setup(t, { perMinute: 2 });
+    const results = ['a', 'b', 'c'].map(key => queue.enqueue(key, task(key)));
+    await flush();
+    assert.deepEqual(started, ['a', 'b']);
+    assert.equal(queue.size(), 1);
+
+    // Two tokens a minute: the next one is whole after 30 seconds
+    t.mock.timers.tick(29999);
+    await flush();
+    assert.deepEqual(started, ['a', 'b']);
+    t.mock.timers.tick(1);
+    await flush();
+    assert.deepEqual(started, ['a', 'b', 'c']);
+    assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+});
+
+test('the per-day bucket gates jobs the minute bucket would allow', async (t) => {
+    const { queue, started, task } = setup(t, { perMinute: 5, perDay: 1 });
+    queue.enqueue('a', task('a'));
+    queue.enqueue('b', task('b'));
+    t.mock.timers.tick(60 * 1000);
+    await flush();
+    assert.deepEqual(started, ['a']);
+    t.mock.timers.tick(24 * 60 * 60 * 1000);
+    await flush();
+    assert.deepEqual(started, ['a', 'b']);
+});
+
+test('waiting jobs hear their position and estimated wait', async (t) => {
+    const { queue, task } = setup(t, { perMinute: 1 });
+    queue.enqueue('a', task('a'));
+    const progress = [];
+    queue.enqueue('b', task('b'), update => progress.push(update));
+    queue.enqueue('c', task('c'), update => progress.push(update));
+    assert.deepEqual(progress.at(-1), { key: 'c', position: 2, estimatedWaitMs: 120000 });
+    assert.deepEqual(progress.find(update => update.key === 'b'), { key: 'b', position: 1, estimatedWaitMs: 60000 });
+});
+
+test('calls with the same key share one job and its result', async (t) => {
+    const { queue, started, task } = setup(t, { perMinute: 1 });
+    queue.enqueue('a', task('a'));
+    const progress = [];
+    const first = queue.enqueue('b', task('b', 'first'));
+    const second = queue.enqueue('b', task('b', 'second'), update => progress.push(update));
+    assert.equal(first, second);
+    assert.equal(queue.size(), 1);
+    // A late subscriber hears where the shared job stands straight away
+    assert.deepEqual(progress, [{ key: 'b', position: 1, estimatedWaitMs: 60000 }]);
+
+    t.mock.timers.tick(60000);
+    assert.equal(await second, 'first');
+    assert.deepEqual(started, ['a', 'b']);
+});
+
+test('a failed task rejects every caller sharing it, and frees its key', async (t) => {
+    const { queue, started, task } = setup(t);
+    const failing = () => Promise.reject(new Error('provider down'));
+    const first = queue.enqueue('a', failing);
+    const second = queue.enqueue('a', task('a'));
+    await assert.rejects(first, /provider down/);
+    await assert.rejects(second, /provider down/);
+
+    assert.equal(await queue.enqueue('a', task('a')), 'a');
+    assert.deepEqual(started, ['a']);
+});
+
+test('jobs that would wait longer than maxWaitMs are turned away up front', async (t) => {
+    const { queue, started, task } = setup(t, {
+        perMinute: 1,
+        maxWaitMs: 30000,
+        onRejected: (key, waitMs) => ({ rejected: key, waitMs })
+    });
+    queue.enqueue('a', task('a'));
+    assert.deepEqual(await queue.enqueue('b', task('b')), { rejected: 'b', waitMs: 60000 });
+    await flush();
+    assert.deepEqual(started, ['a']);
+    assert.equal(queue.size(), 0);
+});
+
+test('a result shouldRetry matches puts the job back at the head of the queue', async (t) => {
+    let calls = 0;
+    const { queue } = setup(t, { perMinute: 10, shouldRetry: result => result === 'limited' });
+    const result = queue.enqueue('a', () => {
+        calls += 1;
+        return calls === 1 ? 'limited' : 'ok';
+    });
+    await flush();
+    assert.equal(calls, 1);
+    // The minute's allowance is treated as spent, so the retry waits for a fresh token
+    t.mock.timers.tick(6000);
+    assert.equal(await result, 'ok');
+    assert.equal(calls, 2);
+});
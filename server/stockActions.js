@@ -0,0 +1,172 @@
+// server/stockActions.js
+
+const { UNDO_WINDOW_MS, claimUndo, findActivity, recordActivity, releaseUndo, toActivity } = require('./activity');
+const { getStockData } = require('./priceCache');
+const { PROVIDER_ERRORS } = require('./providers');
+const { RANGES } = require('./ranges');
+const { isValidSymbol } = require('./symbols');
+const { addSymbol, canEdit, findWatchlist, removeSymbol, roomFor } = require('./watchlists');
+
+// Everything an action can fail with: the provider's codes plus our own.
+// The socket handlers and the REST API each map these onto their transport.
+const ACTION_ERRORS = {
+    ...PROVIDER_ERRORS,
+    INVALID_INPUT: 'INVALID_INPUT',
+    INVALID_RANGE: 'INVALID_RANGE',
+    NOT_FOUND: 'NOT_FOUND',
+    FORBIDDEN: 'FORBIDDEN',
+    ALREADY_EXISTS: 'ALREADY_EXISTS'
+};
+
+const actionError = (error, message, extra = {}) => ({ error, message, ...extra });
+
+const normalizeSymbol = (symbol) => String(symbol || '').trim().toUpperCase();
+
+// Resolves malformed input here, before it can cost a provider call
+const checkSymbol = (symbol) => {
+    if (!symbol) {
+        return actionError(ACTION_ERRORS.INVALID_INPUT, 'Please enter a stock symbol.');
+    }
+    if (!isValidSymbol(symbol)) {
+        return actionError(ACTION_ERRORS.INVALID_INPUT, `"${symbol}" is not a valid stock symbol.`);
+    }
+    return null;
+};
+
+// Reword a failed getStockData result for the user, keeping its error code
+const describeFetchError = (symbol, dataResult) => {
+    if (dataResult.error === PROVIDER_ERRORS.RATE_LIMIT) {
+        return dataResult;
+    }
+    if (dataResult.error === PROVIDER_ERRORS.INVALID_SYMBOL || dataResult.error === PROVIDER_ERRORS.NO_DATA) {
+        return actionError(dataResult.error, `Could not find data for ${symbol}. Please check the symbol.`);
+    }
+    return actionError(dataResult.error, `Failed to fetch data for ${symbol}: ${dataResult.message}`);
+};
+
+// Watchlist changes shared by the socket handlers and the REST API. Both go through
+// here so they validate the same way, and so every change reaches the list's room
+// as stockAdded/stockRemoved whichever way it came in. Those events carry
+// { slug, version, by } as a second argument, so clients can spot changes they missed
+// and say who made them. Every change is also logged (see activity.js) and sent to the
+// room as historyEntry. `user` is the session user ({ id, username }).
+// Each action resolves to { success: true, data } or { error, message }.
+const createStockActions = (io) => {
+    // Log a change and pass the entry on to the list's viewers
+    const logActivity = async (watchlist, change) => {
+        const entry = await recordActivity(watchlist, change);
+        io.to(roomFor(watchlist.slug)).emit('historyEntry', entry);
+    };
+
+    // `undoOf` is the activity entry this add undoes, if any
+    const addStock = async ({ slug, symbol: rawSymbol, user, onProgress, undoOf }) => {
+        const symbol = normalizeSymbol(rawSymbol);
+        const invalid = checkSymbol(symbol);
+        if (invalid) {
+            return invalid;
+        }
+        const watchlist = await findWatchlist(slug);
+        if (!watchlist) {
+            return actionError(ACTION_ERRORS.NOT_FOUND, 'This watchlist no longer exists.');
+        }
+        if (!canEdit(watchlist, user.id)) {
+            return actionError(ACTION_ERRORS.FORBIDDEN, `You can't add symbols to "${watchlist.name}".`);
+        }
+
+        const dataResult = await getStockData(symbol, onProgress);
+        if (watchlist.symbols.includes(symbol)) {
+            console.log(`${symbol} already on ${slug}.`);
+            // Still hand back current data when we have it, so the caller can show it
+            return dataResult.success
+                ? actionError(ACTION_ERRORS.ALREADY_EXISTS, `${symbol} is already on this watchlist.`, { data: dataResult.data })
+                : describeFetchError(symbol, dataResult);
+        }
+        if (dataResult.error) {
+            return describeFetchError(symbol, dataResult);
+        }
+
+        const version = await addSymbol(slug, symbol);
+        if (version === null) {
+            // Someone else added it while we were fetching
+            return actionError(ACTION_ERRORS.ALREADY_EXISTS, `${symbol} is already on this watchlist.`, { data: dataResult.data });
+        }
+        console.log(`Stock added to ${slug}: ${symbol} (version ${version})`);
+        io.to(roomFor(slug)).emit('stockAdded', dataResult.data, { slug, version, by: user.username });
+        await logActivity(watchlist, { action: 'add', symbol, version, user, undoOf });
+        return dataResult;
+    };
+
+    const removeStock = async ({ slug, symbol: rawSymbol, user, undoOf }) => {
+        const symbol = normalizeSymbol(rawSymbol);
+        const watchlist = await findWatchlist(slug);
+        if (!watchlist) {
+            return actionError(ACTION_ERRORS.NOT_FOUND, 'This watchlist no longer exists.');
+        }
+        if (!canEdit(watchlist, user.id)) {
+            return actionError(ACTION_ERRORS.FORBIDDEN, `You can't remove symbols from "${watchlist.name}".`);
+        }
+        const version = await removeSymbol(slug, symbol);
+        if (version === null) {
+            return actionError(ACTION_ERRORS.NOT_FOUND, `${symbol} is not on this watchlist.`);
+        }
+        console.log(`Stock removed from ${slug}: ${symbol} (version ${version})`);
+        io.to(roomFor(slug)).emit('stockRemoved', symbol, { slug, version, by: user.username });
+        await logActivity(watchlist, { action: 'remove', symbol, version, user, undoOf });
+        return { success: true, data: { symbol } };
+    };
+
+    // Reverse the logged change `id` within its undo window: remove what it added, or add back
+    // what it removed. The reversal is a change like any other; the entry is marked undone
+    // and sent to the room again. Anyone who can edit the list may undo anyone's change.
+    const undoChange = async ({ slug, id, user }) => {
+        const watchlist = await findWatchlist(slug);
+        if (!watchlist) {
+            return actionError(ACTION_ERRORS.NOT_FOUND, 'This watchlist no longer exists.');
+        }
+        if (!canEdit(watchlist, user.id)) {
+            return actionError(ACTION_ERRORS.FORBIDDEN, `You can't change "${watchlist.name}".`);
+        }
+        const entry = await findActivity(watchlist, id);
+        if (!entry) {
+            return actionError(ACTION_ERRORS.NOT_FOUND, 'That change is no longer in the history.');
+        }
+        if (Date.now() - entry.createdAt.getTime() > UNDO_WINDOW_MS) {
+            return actionError(ACTION_ERRORS.INVALID_INPUT, `Changes can only be undone for ${UNDO_WINDOW_MS / 60000} minutes.`);
+        }
+        const claimed = await claimUndo(entry._id, user.username);
+        if (!claimed) {
+            return actionError(ACTION_ERRORS.ALREADY_EXISTS, `${entry.action === 'add' ? 'Adding' : 'Removing'} ${entry.symbol} has already been undone.`);
+        }
+        const reverse = entry.action === 'add' ? removeStock : addStock;
+        const result = await reverse({ slug, symbol: entry.symbol, user, undoOf: entry._id });
+        if (result.error) {
+            // e.g. the symbol was removed or added again since; the change stays undoable
+            await releaseUndo(entry._id);
+            return result;
+        }
+        const undone = toActivity(claimed, slug);
+        io.to(roomFor(slug)).emit('historyEntry', undone);
+        return { success: true, data: undone };
+    };
+
+    // One symbol's bars for a chart range ('1D' ... 'MAX')
+    const getStockRange = async ({ symbol: rawSymbol, range, onProgress }) => {
+        const symbol = normalizeSymbol(rawSymbol);
+        if (!RANGES[range]) {
+            return actionError(ACTION_ERRORS.INVALID_RANGE, `Unknown range: ${range}`);
+        }
+        const invalid = checkSymbol(symbol);
+        if (invalid) {
+            return invalid;
+        }
+        const dataResult = await getStockData(symbol, onProgress, range);
+        return dataResult.error ? describeFetchError(symbol, dataResult) : dataResult;
+    };
+
+    return { addStock, removeStock, undoChange, getStockRange };
+};
+
+module.exports = {
+    ACTION_ERRORS,
+    createStockActions
+};
@@ -0,0 +1,156 @@
+// server/symbols.js
+
+// Symbol validation and lookup. Searches run against a listing file on disk rather than
+// the provider, so autocomplete costs no API quota. The default file covers common US
+// tickers; point SYMBOL_LISTING_FILE at a bigger one (an Alpha Vantage LISTING_STATUS
+// download works, rows without a currency column are taken to be in USD).
+
+const fs = require('fs/promises');
+const path = require('path');
+const { PROVIDER_ERRORS } = require('./providers/errors');
+
+const LISTING_FILE = process.env.SYMBOL_LISTING_FILE || path.join(__dirname, 'data', 'listings.csv');
+const MAX_RESULTS = 10;
+// A ticker with an optional class or exchange suffix: AAPL, BRK.B, RDS-A, TSCO.LON
+const SYMBOL_PATTERN = /^[A-Z0-9]{1,6}([.-][A-Z0-9]{1,4})?$/;
+
+// Currencies of Alpha Vantage's exchange suffixes, for symbols the listing file doesn't cover.
+// London prices are quoted in pence (GBX).
+const SUFFIX_CURRENCIES = {
+    LON: 'GBX',
+    TRT: 'CAD',
+    TRV: 'CAD',
+    DEX: 'EUR',
+    BSE: 'INR',
+    SHH: 'CNY',
+    SHZ: 'CNY'
+};
+
+const isValidSymbol = (symbol) => SYMBOL_PATTERN.test(symbol);
+
+// Split one CSV line, honouring double-quoted fields (company names can contain commas)
+const splitCsvLine = (line) => {
+    const values = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"' && quoted && line[i + 1] === '"') {
+            current += '"';
+            i++;
+        } else if (char === '"') {
+            quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+            values.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    values.push(current.trim());
+    return values;
+};
+
+const parseListings = (text) => {
+    const [header, ...rows] = text.trim().split(/\r?\n/);
+    const columns = splitCsvLine(header).map(column => column.toLowerCase());
+    return rows.filter(row => row.trim()).map(row => {
+        const values = splitCsvLine(row);
+        const record = {};
+        columns.forEach((column, i) => { record[column] = values[i] || ''; });
+        return record;
+    })
+        .filter(record => record.symbol && (!record.status || record.status.toLowerCase() === 'active'))
+        .map(record => ({
+            symbol: record.symbol.toUpperCase(),
+            name: record.name,
+            exchange: record.exchange,
+            currency: record.currency || 'USD'
+        }));
+};
+
+// Read once, on the first search
+let listingsPromise = null;
+const loadListings = () => {
+    if (!listingsPromise) {
+        listingsPromise = fs.readFile(LISTING_FILE, 'utf8')
+            .then(parseListings)
+            .then(listings => {
+                console.log(`Loaded ${listings.length} symbol listings from ${LISTING_FILE}`);
+                return listings;
+            })
+            .catch(error => {
+                listingsPromise = null; // Try again on the next search
+                throw error;
+            });
+    }
+    return listingsPromise;
+};
+
+// Lower is better; null when the listing doesn't match at all
+const matchRank = (listing, query) => {
+    const name = listing.name.toUpperCase();
+    if (listing.symbol === query) return 0;
+    if (listing.symbol.startsWith(query)) return 1;
+    if (name.startsWith(query)) return 2;
+    if (name.split(/\s+/).some(word => word.startsWith(query))) return 3;
+    if (name.includes(query)) return 4;
+    return null;
+};
+
+// Resolves to { success, data: [{ symbol, name, exchange, currency }] } with the best
+// matches for a ticker or company-name fragment, or { error, message }
+const searchSymbols = async (query) => {
+    const normalized = String(query || '').trim().toUpperCase();
+    if (!normalized) {
+        return { success: true, data: [] };
+    }
+    let listings;
+    try {
+        listings = await loadListings();
+    } catch (error) {
+        console.error(`Error reading symbol listings from ${LISTING_FILE}:`, error.message);
+        return { error: PROVIDER_ERRORS.FETCH_FAILED, message: 'Symbol search is unavailable.' };
+    }
+    const matches = listings
+        .map(listing => ({ listing, rank: matchRank(listing, normalized) }))
+        .filter(match => match.rank !== null)
+        .sort((a, b) => a.rank - b.rank || a.listing.symbol.localeCompare(b.listing.symbol))
+        .slice(0, MAX_RESULTS)
+        .map(match => match.listing);
+    return { success: true, data: matches };
+};
+
+// Resolves to whether the listing file has `symbol` (false when the file can't be read)
+const isListedSymbol = async (symbol) => {
+    try {
+        const listings = await loadListings();
+        return listings.some(listing => listing.symbol === symbol);
+    } catch (error) {
+        console.warn(`Symbol listings unavailable, can't check ${symbol}:`, error.message);
+        return false;
+    }
+};
+
+// Resolves to the currency a symbol is priced in: its listing's, else its exchange
+// suffix's, else USD
+const currencyOf = async (symbol) => {
+    let listings = [];
+    try {
+        listings = await loadListings();
+    } catch (error) {
+        console.warn(`Symbol listings unavailable, guessing ${symbol}'s currency:`, error.message);
+    }
+    const listing = listings.find(candidate => candidate.symbol === symbol);
+    if (listing) {
+        return listing.currency;
+    }
+    return SUFFIX_CURRENCIES[symbol.split('.')[1]] || 'USD';
+};
+
+module.exports = {
+    currencyOf,
+    isListedSymbol,
+    isValidSymbol,
+    searchSymbols
+};
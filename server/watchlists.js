@@ -0,0 +1,224 @@
+// server/watchlists.js
+
+const mongoose = require('mongoose');
+const Activity = require('./models/Activity');
+const Annotation = require('./models/Annotation');
+const Watchlist = require('./models/Watchlist');
+const User = require('./models/User');
+
+const DEFAULT_WATCHLIST_SLUG = 'default';
+// How many changes each list remembers; clients further behind get the whole list
+const MAX_LOGGED_CHANGES = 200;
+
+const toSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Socket.IO room for a watchlist's viewers
+const roomFor = (slug) => `watchlist:${slug}`;
+
+// Make sure the default watchlist exists. Before watchlists, the app kept one
+// global list in the `stocks` collection; its symbols seed the default list.
+const ensureDefaultWatchlist = async () => {
+    if (await Watchlist.exists({ slug: DEFAULT_WATCHLIST_SLUG })) {
+        return;
+    }
+    const legacyStocks = await mongoose.connection.collection('stocks').find({}).toArray();
+    await Watchlist.create({
+        name: 'Default',
+        slug: DEFAULT_WATCHLIST_SLUG,
+        symbols: legacyStocks.map(stock => stock.symbol)
+    });
+    console.log(`Created default watchlist with ${legacyStocks.length} existing symbol(s)`);
+};
+
+// Slugs come straight from socket payloads; anything but a string (an operator object
+// like { $ne: 'default' }) would otherwise act as a query
+const isSlug = (slug) => typeof slug === 'string';
+
+const findWatchlist = async (slug) => (isSlug(slug) ? Watchlist.findOne({ slug }).lean() : null);
+
+const includesUser = (ids, userId) => (ids || []).some(id => id.toString() === userId);
+
+// 'owner', 'editor', 'viewer', or null when the user may not see the list
+const roleFor = (watchlist, userId) => {
+    if (!watchlist.owner) {
+        return 'editor';
+    }
+    if (watchlist.owner.toString() === userId) {
+        return 'owner';
+    }
+    if (includesUser(watchlist.editors, userId)) {
+        return 'editor';
+    }
+    if (includesUser(watchlist.viewers, userId)) {
+        return 'viewer';
+    }
+    return null;
+};
+
+const canEdit = (watchlist, userId) => ['owner', 'editor'].includes(roleFor(watchlist, userId));
+
+// The lists `userId` may see, each with the user's role on it
+const listWatchlists = async (userId) => {
+    const watchlists = await Watchlist.find({
+        $or: [{ owner: null }, { owner: userId }, { editors: userId }, { viewers: userId }]
+    }).sort({ createdAt: 1 }).lean();
+    return watchlists.map(watchlist => ({
+        name: watchlist.name,
+        slug: watchlist.slug,
+        symbolCount: watchlist.symbols.length,
+        role: roleFor(watchlist, userId)
+    }));
+};
+
+// Resolves to { watchlist } or { error } when the name is empty or already taken
+const createWatchlist = async (name, ownerId) => {
+    const trimmed = (name || '').trim();
+    const slug = toSlug(trimmed);
+    if (!slug) {
+        return { error: 'Watchlist name must contain letters or numbers.' };
+    }
+    try {
+        const watchlist = await Watchlist.create({ name: trimmed, slug, symbols: [], owner: ownerId });
+        return { watchlist: watchlist.toObject() };
+    } catch (error) {
+        if (error.code === 11000) {
+            return { error: `A watchlist named "${trimmed}" already exists.` };
+        }
+        throw error;
+    }
+};
+
+// Only owners delete, and the default list stays; its annotations and activity go with it.
+// Resolves to whether it was deleted.
+const deleteWatchlist = async (slug, userId) => {
+    if (!isSlug(slug) || slug === DEFAULT_WATCHLIST_SLUG) {
+        return false;
+    }
+    const watchlist = await Watchlist.findOneAndDelete({ slug, owner: userId }).lean();
+    if (!watchlist) {
+        return false;
+    }
+    await Promise.all([
+        Annotation.deleteMany({ watchlist: watchlist._id }),
+        Activity.deleteMany({ watchlist: watchlist._id })
+    ]);
+    return true;
+};
+
+// Give `username` the 'editor' or 'viewer' role on an owned list, or take their access away with role null.
+// Resolves to {} or { error }.
+const shareWatchlist = async (slug, ownerId, username, role) => {
+    if (!isSlug(slug)) {
+        return { error: 'No such watchlist.' };
+    }
+    const user = await User.findOne({ username: String(username || '').trim().toLowerCase() }).lean();
+    if (!user) {
+        return { error: `No user named "${username}".` };
+    }
+    if (user._id.toString() === ownerId) {
+        return { error: 'You already own this watchlist.' };
+    }
+    if (role !== null && role !== 'editor' && role !== 'viewer') {
+        return { error: `Unknown role: ${role}` };
+    }
+    const update = { $pull: { editors: user._id, viewers: user._id } };
+    await Watchlist.updateOne({ slug, owner: ownerId }, update);
+    if (role) {
+        await Watchlist.updateOne({ slug, owner: ownerId }, { $addToSet: { [`${role}s`]: user._id } });
+    }
+    return {};
+};
+
+// Update pipeline stages that bump the list's version and log the change under it.
+// Running them in the same update as the symbol change keeps versions gap-free
+// however many edits race.
+const logChange = (action, symbol) => [
+    { $set: { version: { $add: [{ $ifNull: ['$version', 0] }, 1] } } },
+    {
+        $set: {
+            changes: {
+                $slice: [
+                    { $concatArrays: [{ $ifNull: ['$changes', []] }, [{ version: '$version', action, symbol: { $literal: symbol } }]] },
+                    -MAX_LOGGED_CHANGES
+                ]
+            }
+        }
+    }
+];
+
+// Appends the symbol unless the list already has it.
+// Resolves to the list's new version, or null when nothing changed.
+const addSymbol = async (slug, symbol) => {
+    const watchlist = await Watchlist.findOneAndUpdate(
+        { slug, symbols: { $ne: symbol } },
+        [{ $set: { symbols: { $concatArrays: ['$symbols', [{ $literal: symbol }]] } } }, ...logChange('add', symbol)],
+        { new: true, projection: { version: 1 } }
+    ).lean();
+    return watchlist ? watchlist.version : null;
+};
+
+// Resolves to the list's new version, or null when the symbol wasn't on it
+const removeSymbol = async (slug, symbol) => {
+    const watchlist = await Watchlist.findOneAndUpdate(
+        { slug, symbols: symbol },
+        [{ $set: { symbols: { $filter: { input: '$symbols', cond: { $ne: ['$$this', { $literal: symbol }] } } } } }, ...logChange('remove', symbol)],
+        { new: true, projection: { version: 1 } }
+    ).lean();
+    return watchlist ? watchlist.version : null;
+};
+
+// What changed on a list since version `since`: { version, symbols, added, removed }, where
+// added and removed are the net changes (a symbol added then removed again is in neither).
+// Null when the change log no longer reaches back to `since`, or `since` isn't one of its versions.
+const changesSince = (watchlist, since) => {
+    const version = watchlist.version || 0;
+    if (!Number.isInteger(since) || since < 0 || since > version) {
+        return null;
+    }
+    const changes = (watchlist.changes || []).filter(change => change.version > since);
+    if (changes.length !== version - since) {
+        return null;
+    }
+    const wasListed = new Map();
+    const isListed = new Map();
+    changes.forEach(({ action, symbol }) => {
+        if (!wasListed.has(symbol)) {
+            wasListed.set(symbol, action === 'remove');
+        }
+        isListed.set(symbol, action === 'add');
+    });
+    const symbols = [...isListed.keys()];
+    return {
+        version,
+        symbols: watchlist.symbols,
+        added: symbols.filter(symbol => !wasListed.get(symbol) && isListed.get(symbol)),
+        removed: symbols.filter(symbol => wasListed.get(symbol) && !isListed.get(symbol))
+    };
+};
+
+// Every symbol on any watchlist, for the price poller
+const allSymbols = () => Watchlist.distinct('symbols');
+
+// The rooms of the lists holding `symbol`, whose viewers get its live prices
+const roomsWithSymbol = async (symbol) => {
+    const watchlists = await Watchlist.find({ symbols: symbol }, { slug: 1 }).lean();
+    return watchlists.map(watchlist => roomFor(watchlist.slug));
+};
+
+module.exports = {
+    DEFAULT_WATCHLIST_SLUG,
+    addSymbol,
+    allSymbols,
+    canEdit,
+    changesSince,
+    createWatchlist,
+    deleteWatchlist,
+    ensureDefaultWatchlist,
+    findWatchlist,
+    listWatchlists,
+    removeSymbol,
+    roleFor,
+    roomFor,
+    roomsWithSymbol,
+    shareWatchlist
+};
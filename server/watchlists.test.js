@@ -0,0 +1,59 @@
+// server/watchlists.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { changesSince, deleteWatchlist, findWatchlist } = require('./watchlists');
+
+// A list as stored, with its change log built from [action, symbol] pairs numbered from `firstVersion`
+const watchlist = (symbols, changes, firstVersion = 1) => ({
+    symbols,
+    version: firstVersion + changes.length - 1,
+    changes: changes.map(([action, symbol], i) => ({ version: firstVersion + i, action, symbol }))
+});
+
+test('changesSince catches a client up on the versions it missed', () => {
+    const list = watchlist(['AAPL', 'MSFT', 'TSLA'], [['add', 'AAPL'], ['add', 'MSFT'], ['add', 'GOOG'], ['remove', 'GOOG'], ['add', 'TSLA']]);
+    assert.deepEqual(changesSince(list, 1), {
+        version: 5,
+        symbols: ['AAPL', 'MSFT', 'TSLA'],
+        added: ['MSFT', 'TSLA'],
+        removed: []
+    });
+    // Having seen GOOG added, the client needs to hear it went again
+    assert.deepEqual(changesSince(list, 3).removed, ['GOOG']);
+});
+
+test('changesSince is an empty diff for a client that is up to date', () => {
+    const list = watchlist(['AAPL'], [['add', 'AAPL']]);
+    assert.deepEqual(changesSince(list, 1), { version: 1, symbols: ['AAPL'], added: [], removed: [] });
+    assert.deepEqual(changesSince({ symbols: [] }, 0), { version: 0, symbols: [], added: [], removed: [] });
+});
+
+test('changesSince leaves out a symbol added and removed again while the client was away', () => {
+    const list = watchlist(['AAPL'], [['add', 'AAPL'], ['add', 'TSLA'], ['remove', 'TSLA']]);
+    assert.deepEqual(changesSince(list, 1), { version: 3, symbols: ['AAPL'], added: [], removed: [] });
+});
+
+test('changesSince reports a symbol removed and added back as neither', () => {
+    const list = watchlist(['AAPL'], [['add', 'AAPL'], ['remove', 'AAPL'], ['add', 'AAPL']]);
+    assert.deepEqual(changesSince(list, 1), { version: 3, symbols: ['AAPL'], added: [], removed: [] });
+});
+
+test('changesSince gives up when the log no longer reaches back far enough', () => {
+    // The log was trimmed to its latest two changes
+    const list = watchlist(['AAPL', 'MSFT'], [['add', 'AAPL'], ['add', 'MSFT']], 9);
+    assert.equal(changesSince(list, 7), null);
+    assert.deepEqual(changesSince(list, 8).added, ['AAPL', 'MSFT']);
+});
+
+test('changesSince refuses versions the list never had', () => {
+    const list = watchlist(['AAPL'], [['add', 'AAPL']]);
+    [-1, 2, 0.5, '1', undefined, null].forEach(since => {
+        assert.equal(changesSince(list, since), null, `since ${since}`);
+    });
+});
+
+test('slugs that are not strings never reach a query', async () => {
+    assert.equal(await findWatchlist({ $ne: 'default' }), null);
+    assert.equal(await deleteWatchlist({ $ne: 'default' }, 'someone'), false);
+});
@@ -0,0 +1,118 @@
+// shared/analytics.js
+
+// Risk and return statistics over { date, close } bars, sorted oldest first.
+// Returns are simple period-over-period returns; annualized figures scale by
+// the number of bars per year for the series' interval. Values are fractions
+// (0.12 is 12%), or null when there are too few bars to say.
+
+const PERIODS_PER_YEAR = { daily: 252, weekly: 52, monthly: 12 };
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Sample standard deviation (n - 1)
+const standardDeviation = (values) => {
+    if (values.length < 2) {
+        return null;
+    }
+    const m = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - m) ** 2, 0) / (values.length - 1));
+};
+
+// [{ date, value }] with each bar's return over the bar before it
+const returnsOf = (bars) => bars.slice(1).map((bar, i) => ({
+    date: bar.date,
+    value: bar.close / bars[i].close - 1
+}));
+
+const periodReturn = (bars) => (bars.length < 2 ? null : bars[bars.length - 1].close / bars[0].close - 1);
+
+const annualizedVolatility = (returns, periodsPerYear) => {
+    const deviation = standardDeviation(returns);
+    return deviation === null ? null : deviation * Math.sqrt(periodsPerYear);
+};
+
+// The largest peak-to-trough fall in closes, as a negative fraction (0 if it never fell)
+const maxDrawdown = (bars) => {
+    if (bars.length === 0) {
+        return null;
+    }
+    let peak = bars[0].close;
+    let worst = 0;
+    bars.forEach(bar => {
+        peak = Math.max(peak, bar.close);
+        worst = Math.min(worst, bar.close / peak - 1);
+    });
+    return worst;
+};
+
+// Annualized mean excess return over annualized volatility. `riskFreeRate` is annual.
+const sharpeRatio = (returns, periodsPerYear, riskFreeRate = 0) => {
+    const deviation = standardDeviation(returns);
+    if (deviation === null || deviation === 0) {
+        return null;
+    }
+    const excess = mean(returns) - riskFreeRate / periodsPerYear;
+    return (excess / deviation) * Math.sqrt(periodsPerYear);
+};
+
+// Pearson correlation of two equal-length arrays
+const correlation = (a, b) => {
+    if (a.length < 2) {
+        return null;
+    }
+    const meanA = mean(a);
+    const meanB = mean(b);
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    a.forEach((value, i) => {
+        covariance += (value - meanA) * (b[i] - meanB);
+        varianceA += (value - meanA) ** 2;
+        varianceB += (b[i] - meanB) ** 2;
+    });
+    return varianceA === 0 || varianceB === 0 ? null : covariance / Math.sqrt(varianceA * varianceB);
+};
+
+/**
+ * Per-series statistics for one symbol's bars.
+ * @param {Array<{date: string, close: number}>} bars
+ * @param {string} interval 'daily', 'weekly' or 'monthly'
+ * @param {number} [riskFreeRate] annual, as a fraction
+ */
+const seriesStats = (bars, interval, riskFreeRate = 0) => {
+    const periodsPerYear = PERIODS_PER_YEAR[interval];
+    const returns = returnsOf(bars).map(r => r.value);
+    return {
+        periodReturn: periodReturn(bars),
+        volatility: annualizedVolatility(returns, periodsPerYear),
+        maxDrawdown: maxDrawdown(bars),
+        sharpe: sharpeRatio(returns, periodsPerYear, riskFreeRate),
+        observations: returns.length
+    };
+};
+
+// Pairwise correlations of returns, one row per series in `barsList`. Each pair
+// is compared on the dates both have a return for, so symbols with different
+// holidays or listing dates still line up. The diagonal is 1.
+const correlationMatrix = (barsList) => {
+    const returnMaps = barsList.map(bars => new Map(returnsOf(bars).map(r => [r.date, r.value])));
+    return returnMaps.map((a, i) => returnMaps.map((b, j) => {
+        if (i === j) {
+            return a.size >= 2 ? 1 : null;
+        }
+        const dates = [...a.keys()].filter(date => b.has(date));
+        return correlation(dates.map(date => a.get(date)), dates.map(date => b.get(date)));
+    }));
+};
+
+module.exports = {
+    PERIODS_PER_YEAR,
+    annualizedVolatility,
+    correlation,
+    correlationMatrix,
+    maxDrawdown,
+    periodReturn,
+    returnsOf,
+    seriesStats,
+    sharpeRatio
+};
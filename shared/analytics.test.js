@@ -0,0 +1,50 @@
+// shared/analytics.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { correlation, correlationMatrix, maxDrawdown, periodReturn, seriesStats, sharpeRatio } = require('./analytics');
+
+const series = (closes, startDay = 1) => closes.map((close, i) => ({
+    date: `2024-01-${String(startDay + i).padStart(2, '0')}`,
+    close
+}));
+
+test('periodReturn compares the last close with the first', () => {
+    assert.equal(periodReturn(series([100, 90, 125])), 0.25);
+    assert.equal(periodReturn(series([100])), null);
+});
+
+test('maxDrawdown is the worst fall from a running peak', () => {
+    assert.equal(maxDrawdown(series([100, 120, 90, 130, 110])), 90 / 120 - 1);
+    assert.equal(maxDrawdown(series([1, 2, 3])), 0);
+});
+
+test('seriesStats annualizes volatility by the interval', () => {
+    const bars = series([100, 101, 100, 101, 100]);
+    const daily = seriesStats(bars, 'daily');
+    const monthly = seriesStats(bars, 'monthly');
+    assert.equal(daily.observations, 4);
+    assert.ok(Math.abs(daily.volatility / monthly.volatility - Math.sqrt(252 / 12)) < 1e-9);
+});
+
+test('sharpeRatio is null without variation and falls with the risk-free rate', () => {
+    assert.equal(sharpeRatio([0.01, 0.01, 0.01], 252), null);
+    const returns = [0.01, -0.005, 0.02, 0.003];
+    assert.ok(sharpeRatio(returns, 252, 0.05) < sharpeRatio(returns, 252, 0));
+});
+
+test('correlation is 1 for moves in step and -1 for opposite moves', () => {
+    assert.ok(Math.abs(correlation([1, 2, 3], [2, 4, 6]) - 1) < 1e-12);
+    assert.ok(Math.abs(correlation([1, 2, 3], [3, 2, 1]) + 1) < 1e-12);
+    assert.equal(correlation([1, 1, 1], [1, 2, 3]), null);
+});
+
+test('correlationMatrix pairs returns by date', () => {
+    // The second series starts a day later: by date its returns match the first's, by position they'd be opposite
+    const a = series([100, 110, 99, 108.9, 98.01]);
+    const b = series([50, 45, 49.5, 44.55], 2);
+    const matrix = correlationMatrix([a, b]);
+    assert.equal(matrix[0][0], 1);
+    assert.ok(Math.abs(matrix[0][1] - 1) < 1e-9);
+    assert.equal(matrix[0][1], matrix[1][0]);
+});
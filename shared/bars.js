@@ -0,0 +1,23 @@
+// shared/bars.js
+
+// The bar scaled for every later split and dividend: open, high and low move by
+// the same ratio as the close, and the unadjusted close is kept as rawClose.
+// Bars without an adjustedClose (intraday, imported series) come back as they are.
+const adjustBar = (bar) => {
+    if (bar.adjustedClose === undefined || bar.adjustedClose === bar.close || !bar.close) {
+        return bar;
+    }
+    const ratio = bar.adjustedClose / bar.close;
+    return {
+        ...bar,
+        open: bar.open * ratio,
+        high: bar.high * ratio,
+        low: bar.low * ratio,
+        close: bar.adjustedClose,
+        rawClose: bar.close
+    };
+};
+
+module.exports = {
+    adjustBar
+};
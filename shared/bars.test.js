@@ -0,0 +1,17 @@
+// shared/bars.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { adjustBar } = require('./bars');
+
+test('adjustBar scales the whole bar by the adjusted close', () => {
+    const bar = { date: '2024-01-02', open: 100, high: 110, low: 90, close: 100, volume: 10, adjustedClose: 50 };
+    assert.deepEqual(adjustBar(bar), { ...bar, open: 50, high: 55, low: 45, close: 50, rawClose: 100 });
+});
+
+test('adjustBar leaves bars with nothing to adjust as they are', () => {
+    const intraday = { date: '2024-01-02 10:00:00', open: 1, high: 2, low: 1, close: 2, volume: 5 };
+    assert.equal(adjustBar(intraday), intraday);
+    const unchanged = { ...intraday, date: '2024-01-02', adjustedClose: 2 };
+    assert.equal(adjustBar(unchanged), unchanged);
+});
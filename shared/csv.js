@@ -0,0 +1,42 @@
+// shared/csv.js
+
+// CSV export of several symbols' bars: one row per date, with open, high, low,
+// close, volume and currency columns per symbol (AAPL_open, AAPL_high, ...), and
+// whether the prices are adjusted for splits and dividends. Dates a symbol has no
+// bar on are left blank. The client's download and the server's streamed export
+// both write it this way.
+//
+// `basis` says what the prices are: { adjusted: boolean, currencies: [...] }, the
+// currencies parallel to the symbols.
+
+const CSV_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+const csvHeader = (symbols) => [
+    'date',
+    'adjusted',
+    ...symbols.flatMap(symbol => [...CSV_FIELDS, 'currency'].map(field => `${symbol}_${field}`))
+].join(',');
+
+// `bars` is parallel to the header's symbols, null where a symbol has no bar on `date`
+const csvRow = (date, bars, basis) => [
+    date,
+    basis.adjusted,
+    ...bars.flatMap((bar, i) => [...CSV_FIELDS.map(field => (bar ? bar[field] : '')), bar ? basis.currencies[i] : ''])
+].join(',');
+
+// Rows of { date, bars } over the union of every series' dates, oldest first.
+// `seriesList` holds one bar array per symbol.
+const alignByDate = (seriesList) => {
+    const lookups = seriesList.map(bars => new Map(bars.map(bar => [bar.date, bar])));
+    const dates = [...new Set(seriesList.flatMap(bars => bars.map(bar => bar.date)))].sort();
+    return dates.map(date => ({ date, bars: lookups.map(lookup => lookup.get(date) || null) }));
+};
+
+const toCsv = (symbols, rows, basis) => [csvHeader(symbols), ...rows.map(row => csvRow(row.date, row.bars, basis))].join('\n') + '\n';
+
+module.exports = {
+    alignByDate,
+    csvHeader,
+    csvRow,
+    toCsv
+};
@@ -0,0 +1,31 @@
+// shared/csv.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { alignByDate, csvHeader, toCsv } = require('./csv');
+
+const bar = (date, close) => ({ date, open: close - 1, high: close + 1, low: close - 2, close, volume: 1000 });
+
+test('csvHeader has OHLCV and currency columns per symbol', () => {
+    assert.equal(
+        csvHeader(['AAPL', 'MSFT']),
+        'date,adjusted,AAPL_open,AAPL_high,AAPL_low,AAPL_close,AAPL_volume,AAPL_currency,MSFT_open,MSFT_high,MSFT_low,MSFT_close,MSFT_volume,MSFT_currency'
+    );
+});
+
+test('alignByDate lines bars up on the union of dates', () => {
+    const rows = alignByDate([[bar('2024-01-02', 10), bar('2024-01-03', 11)], [bar('2024-01-03', 20), bar('2024-01-04', 21)]]);
+    assert.deepEqual(rows.map(row => row.date), ['2024-01-02', '2024-01-03', '2024-01-04']);
+    assert.deepEqual(rows.map(row => row.bars.map(b => (b ? b.close : null))), [[10, null], [11, 20], [null, 21]]);
+});
+
+test('toCsv leaves missing bars blank, currency included', () => {
+    const basis = { adjusted: false, currencies: ['USD', 'EUR'] };
+    const csv = toCsv(['AAPL', 'SAP'], alignByDate([[bar('2024-01-02', 10)], [bar('2024-01-03', 20)]]), basis);
+    assert.equal(csv, [
+        'date,adjusted,AAPL_open,AAPL_high,AAPL_low,AAPL_close,AAPL_volume,AAPL_currency,SAP_open,SAP_high,SAP_low,SAP_close,SAP_volume,SAP_currency',
+        '2024-01-02,false,9,11,8,10,1000,USD,,,,,,',
+        '2024-01-03,false,,,,,,,19,21,18,20,1000,EUR',
+        ''
+    ].join('\n'));
+});
@@ -0,0 +1,93 @@
+// shared/fx.js
+
+// Currency conversion with the daily rates the server caches (see server/fxRates.js):
+// for each currency, [{ date: 'YYYY-MM-DD', rate }] oldest first, in US dollars per unit.
+
+const PIVOT_CURRENCY = 'USD';
+
+/**
+ * The rate on a date's day (intraday timestamps too) or the last one before it, as
+ * weekends, holidays and today before it is published have none of their own.
+ * @param {Array<{ date: string, rate: number }>} rates Oldest first
+ * @param {string} date
+ * @returns {number|null} null when the date is older than every rate, or there are none
+ */
+const rateOnOrBefore = (rates, date) => {
+    const day = date.slice(0, 10);
+    let low = 0;
+    let high = (rates || []).length - 1;
+    let found = null;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (rates[middle].date <= day) {
+            found = rates[middle].rate;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return found;
+};
+
+/**
+ * A lookup from a date to units of `to` per unit of `from` on that date.
+ * @param {Object<string, Array<{ date: string, rate: number }>>} usdRates Rates in US dollars per unit, by currency
+ * @param {string} from
+ * @param {string} to
+ * @returns {(date: string) => number|null} null for dates either currency has no rate for yet,
+ *   and for every date when its rates aren't in `usdRates`
+ */
+const conversionRate = (usdRates, from, to) => {
+    if (from === to) {
+        return () => 1;
+    }
+    const usdPerUnit = (currency) => (
+        currency === PIVOT_CURRENCY ? () => 1 : (date) => rateOnOrBefore(usdRates[currency], date)
+    );
+    const fromRate = usdPerUnit(from);
+    const toRate = usdPerUnit(to);
+    return (date) => {
+        const fromUsd = fromRate(date);
+        const toUsd = toRate(date);
+        return fromUsd === null || toUsd === null ? null : fromUsd / toUsd;
+    };
+};
+
+// Fields priced in the bar's currency besides open, high, low and close
+const PRICE_FIELDS = ['adjustedClose', 'rawClose', 'dividend'];
+
+/**
+ * Bars converted with a conversionRate lookup. Each keeps its close as traded in
+ * `native: { close, currency }`; bars the lookup has no rate for are left out.
+ * @param {object[]} bars
+ * @param {(date: string) => number|null} rate
+ * @param {string} currency The bars' own currency
+ * @returns {object[]}
+ */
+const convertBars = (bars, rate, currency) => bars.flatMap(bar => {
+    const factor = rate(bar.date);
+    if (factor === null) {
+        return [];
+    }
+    const converted = {
+        ...bar,
+        open: bar.open * factor,
+        high: bar.high * factor,
+        low: bar.low * factor,
+        close: bar.close * factor,
+        native: { close: bar.close, currency }
+    };
+    PRICE_FIELDS.forEach(field => {
+        if (bar[field] !== undefined) {
+            converted[field] = bar[field] * factor;
+        }
+    });
+    return [converted];
+});
+
+module.exports = {
+    PIVOT_CURRENCY,
+    conversionRate,
+    convertBars,
+    rateOnOrBefore
+};
@@ -0,0 +1,70 @@
+// shared/fx.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { conversionRate, convertBars, rateOnOrBefore } = require('./fx');
+
+const EUR = [
+    { date: '2024-01-02', rate: 1.1 },
+    { date: '2024-01-03', rate: 1.2 },
+    { date: '2024-01-05', rate: 1.25 }
+];
+const GBP = [
+    { date: '2024-01-03', rate: 1.5 },
+    { date: '2024-01-05', rate: 1.6 }
+];
+
+test('rateOnOrBefore takes the day\'s rate, or the last one before it', () => {
+    assert.equal(rateOnOrBefore(EUR, '2024-01-02'), 1.1);
+    assert.equal(rateOnOrBefore(EUR, '2024-01-03'), 1.2);
+    // No rate on the 4th (a holiday) or after the 5th (not yet published)
+    assert.equal(rateOnOrBefore(EUR, '2024-01-04'), 1.2);
+    assert.equal(rateOnOrBefore(EUR, '2024-02-01'), 1.25);
+});
+
+test('rateOnOrBefore looks intraday timestamps up by their day', () => {
+    assert.equal(rateOnOrBefore(EUR, '2024-01-03 15:30:00'), 1.2);
+});
+
+test('rateOnOrBefore has no rate before the first one, or without rates', () => {
+    assert.equal(rateOnOrBefore(EUR, '2024-01-01'), null);
+    assert.equal(rateOnOrBefore([], '2024-01-03'), null);
+    assert.equal(rateOnOrBefore(undefined, '2024-01-03'), null);
+});
+
+test('conversionRate converts through US dollars', () => {
+    const rates = { EUR, GBP };
+    assert.equal(conversionRate(rates, 'EUR', 'USD')('2024-01-03'), 1.2);
+    assert.equal(conversionRate(rates, 'USD', 'EUR')('2024-01-03'), 1 / 1.2);
+    assert.equal(conversionRate(rates, 'EUR', 'GBP')('2024-01-04'), 1.2 / 1.5);
+});
+
+test('conversionRate is 1 between a currency and itself, with or without rates', () => {
+    assert.equal(conversionRate({}, 'JPY', 'JPY')('1990-01-01'), 1);
+});
+
+test('conversionRate is null where either currency has no rate yet', () => {
+    const rates = { EUR, GBP };
+    // EUR has a rate on the 2nd, GBP not until the 3rd
+    assert.equal(conversionRate(rates, 'EUR', 'GBP')('2024-01-02'), null);
+    assert.equal(conversionRate(rates, 'GBP', 'EUR')('2024-01-02'), null);
+    assert.equal(conversionRate(rates, 'CHF', 'USD')('2024-01-03'), null);
+});
+
+test('convertBars converts every price, keeps the close as traded and drops bars without a rate', () => {
+    const bars = [
+        { date: '2024-01-01', open: 1, high: 1, low: 1, close: 1, volume: 5 },
+        { date: '2024-01-05', open: 10, high: 12, low: 8, close: 11, volume: 5, adjustedClose: 10, dividend: 1 }
+    ];
+    assert.deepEqual(convertBars(bars, conversionRate({ EUR }, 'EUR', 'USD'), 'EUR'), [{
+        date: '2024-01-05',
+        open: 12.5,
+        high: 15,
+        low: 10,
+        close: 13.75,
+        volume: 5,
+        adjustedClose: 12.5,
+        dividend: 1.25,
+        native: { close: 11, currency: 'EUR' }
+    }]);
+});
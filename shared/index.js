@@ -0,0 +1,10 @@
+// shared/index.js
+
+module.exports = {
+    analytics: require('./analytics'),
+    bars: require('./bars'),
+    csv: require('./csv'),
+    fx: require('./fx'),
+    indicators: require('./indicators'),
+    portfolio: require('./portfolio')
+};
@@ -0,0 +1,118 @@
+// shared/indicators.js
+
+// Technical indicators over the { date, open, high, low, close, volume } bars
+// fetchStockData produces. Every function is pure and returns arrays parallel
+// to its input, with null where the indicator is not defined yet (e.g. the
+// first period - 1 entries of a moving average).
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const closes = (bars) => bars.map(bar => bar.close);
+
+// Simple moving average
+const sma = (values, period) => values.map((value, i) => (
+    i < period - 1 ? null : average(values.slice(i - period + 1, i + 1))
+));
+
+// Exponential moving average, seeded with the SMA of the first `period` values.
+// Null entries in `values` (e.g. a MACD line that hasn't started) are skipped.
+const ema = (values, period) => {
+    const k = 2 / (period + 1);
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(value => value !== null);
+    if (start === -1 || values.length - start < period) {
+        return result;
+    }
+    let previous = average(values.slice(start, start + period));
+    result[start + period - 1] = previous;
+    for (let i = start + period; i < values.length; i++) {
+        previous = values[i] * k + previous * (1 - k);
+        result[i] = previous;
+    }
+    return result;
+};
+
+// SMA middle band with bands `multiplier` population standard deviations above and below
+const bollingerBands = (values, period = 20, multiplier = 2) => {
+    const middle = sma(values, period);
+    const upper = [];
+    const lower = [];
+    values.forEach((value, i) => {
+        if (middle[i] === null) {
+            upper.push(null);
+            lower.push(null);
+            return;
+        }
+        const window = values.slice(i - period + 1, i + 1);
+        const deviation = Math.sqrt(average(window.map(v => (v - middle[i]) ** 2)));
+        upper.push(middle[i] + multiplier * deviation);
+        lower.push(middle[i] - multiplier * deviation);
+    });
+    return { middle, upper, lower };
+};
+
+// Volume-weighted average price of the typical price ((high + low + close) / 3).
+// Intraday bars ('YYYY-MM-DD HH:MM:SS') restart it every session; daily and
+// longer bars accumulate from the first bar (an anchored VWAP).
+const vwap = (bars) => {
+    let session = null;
+    let priceVolume = 0;
+    let volume = 0;
+    return bars.map(bar => {
+        const barSession = bar.date.length > 10 ? bar.date.slice(0, 10) : null;
+        if (barSession !== session) {
+            session = barSession;
+            priceVolume = 0;
+            volume = 0;
+        }
+        priceVolume += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+        volume += bar.volume;
+        return volume > 0 ? priceVolume / volume : null;
+    });
+};
+
+// Relative strength index with Wilder's smoothing, 0-100
+const rsi = (values, period = 14) => {
+    const result = new Array(values.length).fill(null);
+    if (values.length <= period) {
+        return result;
+    }
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i <= period; i++) {
+        const change = values[i] - values[i - 1];
+        gain += Math.max(change, 0);
+        loss += Math.max(-change, 0);
+    }
+    gain /= period;
+    loss /= period;
+    const toRsi = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+    result[period] = toRsi();
+    for (let i = period + 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+        loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+        result[i] = toRsi();
+    }
+    return result;
+};
+
+// Moving average convergence/divergence: fast EMA - slow EMA, its signal EMA, and their difference
+const macd = (values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) => {
+    const fast = ema(values, fastPeriod);
+    const slow = ema(values, slowPeriod);
+    const line = values.map((value, i) => (fast[i] === null || slow[i] === null ? null : fast[i] - slow[i]));
+    const signal = ema(line, signalPeriod);
+    const histogram = line.map((value, i) => (value === null || signal[i] === null ? null : value - signal[i]));
+    return { macd: line, signal, histogram };
+};
+
+module.exports = {
+    bollingerBands,
+    closes,
+    ema,
+    macd,
+    rsi,
+    sma,
+    vwap
+};
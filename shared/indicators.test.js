@@ -0,0 +1,102 @@
+// shared/indicators.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bollingerBands, closes, ema, macd, rsi, sma, vwap } = require('./indicators');
+
+const assertClose = (actual, expected) => {
+    assert.equal(actual.length, expected.length);
+    expected.forEach((value, i) => {
+        if (value === null) {
+            assert.equal(actual[i], null, `index ${i}`);
+        } else {
+            assert.ok(Math.abs(actual[i] - value) < 1e-9, `index ${i}: ${actual[i]} !== ${value}`);
+        }
+    });
+};
+
+const bar = (date, close, volume = 100, high = close, low = close) => ({ date, open: close, high, low, close, volume });
+
+test('closes picks the close of every bar', () => {
+    assert.deepEqual(closes([bar('2024-01-02', 10), bar('2024-01-03', 11)]), [10, 11]);
+});
+
+test('sma averages the trailing window and is null until it fills', () => {
+    assertClose(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+});
+
+test('ema is seeded with the sma and then smoothed', () => {
+    // k = 2 / (3 + 1) = 0.5
+    assertClose(ema([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    assertClose(ema([2, 4, 6, 10], 2), [null, 3, 5, 8.333333333333334]);
+});
+
+test('ema skips leading nulls', () => {
+    assertClose(ema([null, null, 2, 4, 6], 2), [null, null, null, 3, 5]);
+});
+
+test('ema is all null when there are fewer values than the period', () => {
+    assertClose(ema([1, 2], 3), [null, null]);
+});
+
+test('bollingerBands of a flat series collapse onto the middle band', () => {
+    const { middle, upper, lower } = bollingerBands([5, 5, 5, 5], 2);
+    assertClose(middle, [null, 5, 5, 5]);
+    assertClose(upper, [null, 5, 5, 5]);
+    assertClose(lower, [null, 5, 5, 5]);
+});
+
+test('bollingerBands use the population standard deviation', () => {
+    // Window [2, 4]: mean 3, deviation 1
+    const { upper, lower } = bollingerBands([2, 4], 2, 2);
+    assertClose(upper, [null, 5]);
+    assertClose(lower, [null, 1]);
+});
+
+test('vwap accumulates over daily bars', () => {
+    const bars = [bar('2024-01-02', 10, 100), bar('2024-01-03', 20, 300)];
+    assertClose(vwap(bars), [10, 17.5]);
+});
+
+test('vwap restarts every session for intraday bars', () => {
+    const bars = [
+        bar('2024-01-02 15:55:00', 10, 100),
+        bar('2024-01-03 09:30:00', 20, 100),
+        bar('2024-01-03 09:35:00', 30, 100)
+    ];
+    assertClose(vwap(bars), [10, 20, 25]);
+});
+
+test('vwap is null until there is volume', () => {
+    assertClose(vwap([bar('2024-01-02', 10, 0), bar('2024-01-03', 20, 100)]), [null, 20]);
+});
+
+test('rsi is 100 for a series that only rises', () => {
+    assertClose(rsi([1, 2, 3, 4, 5], 3), [null, null, null, 100, 100]);
+});
+
+test('rsi is 50 when gains and losses balance', () => {
+    assertClose(rsi([10, 11, 10, 11, 10], 2), [null, null, 50, 75, 37.5]);
+});
+
+test('rsi is all null without enough values', () => {
+    assertClose(rsi([1, 2, 3], 3), [null, null, null]);
+});
+
+test('macd of a flat series is zero once both averages exist', () => {
+    const values = new Array(40).fill(7);
+    const result = macd(values);
+    assert.equal(result.macd[24], null);
+    assert.equal(result.macd[25], 0);
+    assert.equal(result.signal[32], null);
+    assert.equal(result.signal[33], 0);
+    assert.equal(result.histogram[33], 0);
+});
+
+test('macd line is the fast ema minus the slow ema', () => {
+    const values = [1, 3, 2, 5, 4, 6];
+    const result = macd(values, 2, 3, 2);
+    const fast = ema(values, 2);
+    const slow = ema(values, 3);
+    assertClose(result.macd, values.map((v, i) => (slow[i] === null ? null : fast[i] - slow[i])));
+});
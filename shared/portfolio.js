@@ -0,0 +1,142 @@
+// shared/portfolio.js
+
+// Positions and P&L from buy/sell transactions
+// ({ symbol, side: 'buy' | 'sell', date: 'YYYY-MM-DD', quantity, price, fees }),
+// valued with the { date, close } bars fetchStockData produces.
+//
+// Cost basis is the average cost: a buy adds quantity * price + fees to the
+// position's basis, and a sell takes out the average cost of the shares sold.
+// Realized P&L is a sell's proceeds net of fees minus that cost.
+
+// Oldest first; same-day transactions keep their order
+const byDate = (transactions) => [...transactions].sort((a, b) => a.date.localeCompare(b.date));
+
+const emptyPosition = () => ({ quantity: 0, costBasis: 0, realizedPnl: 0 });
+
+const applyTransaction = (position, transaction) => {
+    const fees = transaction.fees || 0;
+    if (transaction.side === 'buy') {
+        return {
+            quantity: position.quantity + transaction.quantity,
+            costBasis: position.costBasis + transaction.quantity * transaction.price + fees,
+            realizedPnl: position.realizedPnl
+        };
+    }
+    const averageCost = position.quantity > 0 ? position.costBasis / position.quantity : 0;
+    const soldCost = averageCost * transaction.quantity;
+    const remaining = position.quantity - transaction.quantity;
+    return {
+        quantity: remaining,
+        // Fully closed positions drop any rounding left in the basis
+        costBasis: remaining === 0 ? 0 : position.costBasis - soldCost,
+        realizedPnl: position.realizedPnl + transaction.quantity * transaction.price - fees - soldCost
+    };
+};
+
+// Positions by symbol after applying `transactions` in date order
+const positionsFrom = (transactions) => byDate(transactions).reduce((positions, transaction) => ({
+    ...positions,
+    [transaction.symbol]: applyTransaction(positions[transaction.symbol] || emptyPosition(), transaction)
+}), {});
+
+// The first sell (in date order) that sells more shares than were held at the time, or null
+const findOversell = (transactions) => {
+    const held = {};
+    for (const transaction of byDate(transactions)) {
+        const quantity = held[transaction.symbol] || 0;
+        if (transaction.side === 'sell' && transaction.quantity > quantity) {
+            return transaction;
+        }
+        held[transaction.symbol] = quantity + (transaction.side === 'buy' ? transaction.quantity : -transaction.quantity);
+    }
+    return null;
+};
+
+/**
+ * Holdings per symbol, including closed positions that still carry realized P&L,
+ * plus portfolio totals. Market values are null for symbols missing from `lastPrices`.
+ * @param {object[]} transactions
+ * @param {Object<string, number>} lastPrices Latest close by symbol
+ */
+const computeHoldings = (transactions, lastPrices) => {
+    const holdings = Object.entries(positionsFrom(transactions))
+        .map(([symbol, position]) => {
+            const lastPrice = lastPrices[symbol] !== undefined ? lastPrices[symbol] : null;
+            const marketValue = lastPrice === null ? null : position.quantity * lastPrice;
+            return {
+                symbol,
+                quantity: position.quantity,
+                averageCost: position.quantity > 0 ? position.costBasis / position.quantity : null,
+                costBasis: position.costBasis,
+                lastPrice,
+                marketValue,
+                unrealizedPnl: marketValue === null ? null : marketValue - position.costBasis,
+                realizedPnl: position.realizedPnl
+            };
+        })
+        .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+    const sum = (field) => holdings.reduce((total, holding) => (
+        total === null || holding[field] === null ? null : total + holding[field]
+    ), 0);
+    return {
+        holdings,
+        totals: {
+            costBasis: sum('costBasis'),
+            marketValue: sum('marketValue'),
+            unrealizedPnl: sum('unrealizedPnl'),
+            realizedPnl: sum('realizedPnl')
+        }
+    };
+};
+
+/**
+ * The portfolio's market value and cost basis at every date any symbol has a bar.
+ * Each holding is valued at its latest close on or before the date. Values are null
+ * before the first transaction, and where a held symbol has no price yet.
+ * @param {object[]} transactions
+ * @param {Object<string, object[]>} barsBySymbol Bars by symbol, oldest first
+ * @returns {{ date: string, value: number|null, costBasis: number }[]}
+ */
+const portfolioValueSeries = (transactions, barsBySymbol) => {
+    const sorted = byDate(transactions);
+    const dates = [...new Set(Object.values(barsBySymbol).flatMap(bars => bars.map(bar => bar.date)))].sort();
+    const positions = {};
+    const lastClose = {};
+    const nextBar = {};
+    let nextTransaction = 0;
+
+    return dates.map(date => {
+        const day = date.slice(0, 10); // Transactions are dated by day, intraday bars carry a time too
+        while (nextTransaction < sorted.length && sorted[nextTransaction].date <= day) {
+            const transaction = sorted[nextTransaction];
+            positions[transaction.symbol] = applyTransaction(positions[transaction.symbol] || emptyPosition(), transaction);
+            nextTransaction++;
+        }
+        Object.entries(barsBySymbol).forEach(([symbol, bars]) => {
+            let i = nextBar[symbol] || 0;
+            while (i < bars.length && bars[i].date <= date) {
+                lastClose[symbol] = bars[i].close;
+                i++;
+            }
+            nextBar[symbol] = i;
+        });
+
+        let value = nextTransaction === 0 ? null : 0;
+        let costBasis = 0;
+        Object.entries(positions).forEach(([symbol, position]) => {
+            costBasis += position.costBasis;
+            if (position.quantity === 0 || value === null) {
+                return;
+            }
+            value = lastClose[symbol] === undefined ? null : value + position.quantity * lastClose[symbol];
+        });
+        return { date, value, costBasis };
+    });
+};
+
+module.exports = {
+    computeHoldings,
+    findOversell,
+    portfolioValueSeries
+};
@@ -0,0 +1,101 @@
+// shared/portfolio.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeHoldings, findOversell, portfolioValueSeries } = require('./portfolio');
+
+const buy = (symbol, date, quantity, price, fees = 0) => ({ symbol, side: 'buy', date, quantity, price, fees });
+const sell = (symbol, date, quantity, price, fees = 0) => ({ symbol, side: 'sell', date, quantity, price, fees });
+const bar = (date, close) => ({ date, open: close, high: close, low: close, close, volume: 100 });
+
+test('buys add to the average cost basis, fees included', () => {
+    const { holdings } = computeHoldings([
+        buy('AAPL', '2024-01-02', 10, 100, 5),
+        buy('AAPL', '2024-01-03', 10, 110, 5)
+    ], { AAPL: 120 });
+    assert.deepEqual(holdings, [{
+        symbol: 'AAPL',
+        quantity: 20,
+        averageCost: 105.5,
+        costBasis: 2110,
+        lastPrice: 120,
+        marketValue: 2400,
+        unrealizedPnl: 290,
+        realizedPnl: 0
+    }]);
+});
+
+test('sells realize proceeds net of fees against the average cost', () => {
+    const { holdings, totals } = computeHoldings([
+        buy('AAPL', '2024-01-02', 10, 100),
+        buy('AAPL', '2024-01-03', 10, 120),
+        sell('AAPL', '2024-01-04', 5, 130, 2)
+    ], { AAPL: 130 });
+    // Average cost 110: realized (130 - 110) * 5 - 2
+    assert.equal(holdings[0].quantity, 15);
+    assert.equal(holdings[0].costBasis, 1650);
+    assert.equal(holdings[0].realizedPnl, 98);
+    assert.equal(totals.unrealizedPnl, 15 * 130 - 1650);
+});
+
+test('closed positions keep their realized P&L and have no basis left', () => {
+    const { holdings } = computeHoldings([
+        buy('MSFT', '2024-01-02', 3, 10),
+        sell('MSFT', '2024-01-05', 3, 12)
+    ], { MSFT: 15 });
+    assert.equal(holdings[0].quantity, 0);
+    assert.equal(holdings[0].costBasis, 0);
+    assert.equal(holdings[0].averageCost, null);
+    assert.equal(holdings[0].realizedPnl, 6);
+});
+
+test('transactions are applied in date order whatever order they come in', () => {
+    const { holdings } = computeHoldings([
+        sell('AAPL', '2024-01-04', 5, 130),
+        buy('AAPL', '2024-01-02', 10, 100)
+    ], {});
+    assert.equal(holdings[0].quantity, 5);
+    assert.equal(holdings[0].realizedPnl, 150);
+});
+
+test('market values and totals are null without a price', () => {
+    const { holdings, totals } = computeHoldings([buy('AAPL', '2024-01-02', 1, 100)], {});
+    assert.equal(holdings[0].marketValue, null);
+    assert.equal(totals.marketValue, null);
+    assert.equal(totals.costBasis, 100);
+});
+
+test('findOversell spots a sell of more shares than were held at the time', () => {
+    const oversell = sell('AAPL', '2024-01-03', 5, 100);
+    assert.equal(findOversell([buy('AAPL', '2024-01-04', 10, 100), oversell]), oversell);
+    assert.equal(findOversell([buy('AAPL', '2024-01-02', 10, 100), oversell]), null);
+});
+
+test('portfolioValueSeries values holdings at each date, carrying closes forward', () => {
+    const series = portfolioValueSeries(
+        [buy('AAPL', '2024-01-03', 2, 10), buy('MSFT', '2024-01-03', 1, 20), sell('AAPL', '2024-01-05', 1, 12)],
+        {
+            AAPL: [bar('2024-01-02', 9), bar('2024-01-03', 10), bar('2024-01-04', 11), bar('2024-01-05', 12)],
+            MSFT: [bar('2024-01-03', 20), bar('2024-01-05', 22)]
+        }
+    );
+    assert.deepEqual(series.map(point => point.date), ['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05']);
+    assert.deepEqual(series.map(point => point.value), [null, 40, 42, 34]);
+    assert.deepEqual(series.map(point => point.costBasis), [0, 40, 40, 30]);
+});
+
+test('portfolioValueSeries is null while a held symbol has no price yet', () => {
+    const series = portfolioValueSeries(
+        [buy('AAPL', '2024-01-02', 1, 10), buy('MSFT', '2024-01-02', 1, 20)],
+        { AAPL: [bar('2024-01-02', 10), bar('2024-01-03', 11)], MSFT: [bar('2024-01-03', 21)] }
+    );
+    assert.deepEqual(series.map(point => point.value), [null, 32]);
+});
+
+test('portfolioValueSeries matches day-dated transactions to intraday bars', () => {
+    const series = portfolioValueSeries(
+        [buy('AAPL', '2024-01-03', 1, 10)],
+        { AAPL: [bar('2024-01-02 15:55:00', 9), bar('2024-01-03 09:30:00', 10)] }
+    );
+    assert.deepEqual(series.map(point => point.value), [null, 10]);
+});